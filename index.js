@@ -1,10 +1,27 @@
 #!/usr/bin/env node
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const { auth, validateUrl, getPackageInfo } = require('nvch-reactor');
 const readline = require('readline');
 const fs = require('fs').promises;
 const path = require('path');
+const { COMMANDS, parseCommandLine, parseIntegerOption, settingFlags, duplicatePolicy } = require('./lib/args');
+const { ENV_VARS, normalizeSetting, resolveConfig } = require('./lib/config');
+const { EXIT_CODES, CLIError, exitCodeForStatus } = require('./lib/exit-codes');
+const { withTimeout, isTimeoutError, sleep } = require('./lib/timeout');
+const { BatchProgress, formatDuration } = require('./lib/progress');
+const { JobJournal } = require('./lib/jobs');
+const { writeFileAtomic } = require('./lib/files');
+const { detectFormat, parseReactions, streamReactions } = require('./lib/formats');
+const { createLinter, lintReactions, entryPosition } = require('./lib/lint');
+const { parseEmojis, formatEmojis, normalizeEmojis } = require('./lib/emoji');
+const { validatePresetName, recentEmojis } = require('./lib/presets');
+const { collapseDuplicates, checkAgainstHistory, sentPosts, postKey } = require('./lib/dedup');
+const { createHistoryFilter, queryHistory, applyRetention, archiveEntries } = require('./lib/history');
+const { URL_FORMAT, UrlError, parsePostUrl, tryNormalizePostUrl, parseChannelId, postRange, parsePostRange, isPostRange } = require('./lib/url');
+const { withRetry } = require('./lib/retry');
+const { encryptSecret, decryptSecret } = require('./lib/keystore');
+const { DEFAULT_PROFILE, normalizeStore, validateProfileName } = require('./lib/profiles');
 
 // Colors for terminal
 const colors = {
@@ -20,24 +37,108 @@ const colors = {
   white: '\x1b[37m',
 };
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Created on first prompt so subcommands never hold stdin open
+let rl = null;
+
+function getReadline(output = process.stdout) {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output
+    });
+  }
+  return rl;
+}
+
+function closeReadline() {
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+}
 
-const CONFIG_FILE = path.join(process.env.HOME || process.env.USERPROFILE, '.nvch-reactor-config.json');
-const HISTORY_FILE = path.join(process.env.HOME || process.env.USERPROFILE, '.nvch-reactor-history.json');
+const HOME_DIR = process.env.HOME || process.env.USERPROFILE;
+const CONFIG_FILE = process.env.NVCH_CONFIG_FILE || path.join(HOME_DIR, '.nvch-reactor-config.json');
+const HISTORY_FILE = process.env.NVCH_HISTORY_FILE || path.join(HOME_DIR, '.nvch-reactor-history.json');
+const JOBS_DIR = process.env.NVCH_JOBS_DIR || path.join(HOME_DIR, '.nvch-reactor-jobs');
+const ARCHIVE_DIR = process.env.NVCH_ARCHIVE_DIR || path.join(HOME_DIR, '.nvch-reactor-archive');
+
+// Owner read/write only; the config file holds the API key
+const CONFIG_FILE_MODE = 0o600;
+
+// Our own timeout is only a backstop: it fires this much later than the
+// client's, whose timeout aborts the request and can safely be retried
+const TIMEOUT_MARGIN = 1000;
+
+// https://no-color.org
+const useColor = !process.env.NO_COLOR;
 
 class NVCHCLI {
   constructor() {
     this.client = null;
+    // Effective settings; fileConfig is the active profile as CONFIG_FILE stores it
     this.config = null;
+    this.store = normalizeStore(null);
+    this.profile = DEFAULT_PROFILE;
+    this.fileConfig = {};
+    this.configSources = {};
+    this.flags = {};
+    this.profileFlag = null;
     this.history = [];
+    // 'text', 'json' or 'ndjson'; machine modes keep stdout for emit()
+    this.output = 'text';
+    // Plan sends without calling the API or touching history (--dry-run / Settings)
+    this.dryRun = false;
+    // What to do with reactions that were sent before: 'skip', 'allow' or null to ask
+    this.duplicates = null;
   }
 
   // Utility functions
   log(message, color = 'white') {
-    console.log(`${colors[color]}${message}${colors.reset}`);
+    const line = useColor ? `${colors[color]}${message}${colors.reset}` : message;
+    if (this.output === 'text') {
+      console.log(line);
+    } else {
+      console.error(line);
+    }
+  }
+
+  newline() {
+    if (this.output === 'text') {
+      console.log();
+    } else {
+      console.error();
+    }
+  }
+
+  logStream() {
+    return this.output === 'text' ? process.stdout : process.stderr;
+  }
+
+  // Redraw a single status line in place; only on terminals, piped logs stay clean
+  drawProgress(text) {
+    const stream = this.logStream();
+    if (!stream.isTTY) {
+      return;
+    }
+    stream.write(`\r\x1b[2K${text.slice(0, (stream.columns || 80) - 1)}`);
+    this.progressVisible = true;
+  }
+
+  clearProgress() {
+    if (this.progressVisible) {
+      this.logStream().write('\r\x1b[2K');
+      this.progressVisible = false;
+    }
+  }
+
+  // Write a machine-readable document to stdout (no-op in text mode)
+  emit(data) {
+    if (this.output === 'json') {
+      process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    } else if (this.output === 'ndjson') {
+      process.stdout.write(`${JSON.stringify(data)}\n`);
+    }
   }
 
   error(message) {
@@ -58,10 +159,54 @@ class NVCHCLI {
 
   question(prompt) {
     return new Promise((resolve) => {
-      rl.question(`${colors.cyan}${prompt}${colors.reset}`, resolve);
+      getReadline(this.promptOutput()).question(useColor ? `${colors.cyan}${prompt}${colors.reset}` : prompt, resolve);
+    });
+  }
+
+  // Delay for a batch; Enter keeps the default and invalid input asks again
+  async askDelay(defaultDelay = this.config.delay) {
+    while (true) {
+      const answer = await this.question(`Delay between requests (ms) [default: ${defaultDelay}]: `);
+
+      if (answer.trim() === '') {
+        return defaultDelay;
+      }
+
+      try {
+        return normalizeSetting('delay', answer);
+      } catch (error) {
+        this.error(`Invalid delay: ${error.message}`);
+      }
+    }
+  }
+
+  // Like question() but without echoing what is typed
+  questionHidden(prompt) {
+    const output = this.promptOutput();
+    const reader = getReadline(output);
+    const writeToOutput = reader._writeToOutput;
+
+    output.write(useColor ? `${colors.cyan}${prompt}${colors.reset}` : prompt);
+    reader._writeToOutput = () => {};
+
+    return new Promise((resolve) => {
+      reader.question('', (answer) => {
+        reader._writeToOutput = writeToOutput;
+        output.write('\n');
+        resolve(answer);
+      });
     });
   }
 
+  // Prompts must not end up in machine-readable stdout
+  promptOutput() {
+    return this.output === 'text' ? process.stdout : process.stderr;
+  }
+
+  canPrompt() {
+    return Boolean(process.stdin.isTTY);
+  }
+
   clearScreen() {
     console.clear();
   }
@@ -74,11 +219,11 @@ class NVCHCLI {
     this.log('║          WhatsApp Channel Reaction Automation              ║', 'cyan');
     this.log('║                                                            ║', 'cyan');
     this.log('╚════════════════════════════════════════════════════════════╝', 'cyan');
-    console.log();
+    this.newline();
   }
 
   printMenu() {
-    console.log();
+    this.newline();
     this.log('┌─────────────────────────── MENU ───────────────────────────┐', 'blue');
     this.log('│                                                            │', 'blue');
     this.log('│  1. 📤 Send Single Reaction                                │', 'white');
@@ -91,29 +236,224 @@ class NVCHCLI {
     this.log('│  8. 📈 Statistics                                          │', 'white');
     this.log('│  9. 💾 Export History                                      │', 'white');
     this.log('│  10. ℹ️  About                                              │', 'white');
+    this.log('│  11. ⏯️  Resume Job                                         │', 'white');
+    this.log('│  12. 🔁 Retry Failures                                     │', 'white');
+    this.log('│  13. 🔢 Post Range                                         │', 'white');
     this.log('│  0. 🚪 Exit                                                │', 'white');
     this.log('│                                                            │', 'blue');
     this.log('└────────────────────────────────────────────────────────────┘', 'blue');
-    console.log();
+    this.newline();
   }
 
+  // Throws when the requested profile does not exist
   async loadConfig() {
     try {
       const data = await fs.readFile(CONFIG_FILE, 'utf8');
-      this.config = JSON.parse(data);
-      if (this.config.apiKey) {
-        this.client = auth(this.config.apiKey);
-        return true;
+      this.store = normalizeStore(JSON.parse(data));
+      await this.checkConfigPermissions();
+    } catch (error) {
+      this.store = normalizeStore(null);
+    }
+
+    const profile = this.profileFlag || process.env.NVCH_PROFILE || this.store.defaultProfile;
+    const warnings = await this.activateProfile(profile);
+
+    warnings.forEach(warning => this.warning(warning));
+    return Boolean(this.config.apiKey);
+  }
+
+  async activateProfile(name) {
+    const profile = this.store.profiles[name];
+
+    if (!profile) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+
+    this.profile = name;
+    this.fileConfig = profile;
+    this.unlockedApiKey = null;
+    this.passphrase = null;
+
+    if (profile.encryptedApiKey) {
+      await this.unlockApiKey();
+    }
+
+    return this.resolveSettings();
+  }
+
+  presets() {
+    return this.store.presets || {};
+  }
+
+  async savePreset(name, emojis) {
+    validatePresetName(name);
+
+    this.store.presets = { ...this.presets(), [name]: normalizeEmojis(emojis, this.presets()) };
+    await this.saveConfig();
+    return this.store.presets[name];
+  }
+
+  async deletePreset(name) {
+    if (!Object.hasOwn(this.presets(), name)) {
+      throw new Error(`Preset "${name}" does not exist`);
+    }
+
+    delete this.store.presets[name];
+    await this.saveConfig();
+  }
+
+  async createProfile(name) {
+    validateProfileName(name);
+
+    if (this.store.profiles[name]) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+
+    this.store.profiles[name] = {};
+    await this.saveConfig();
+  }
+
+  async deleteProfile(name) {
+    if (!this.store.profiles[name]) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+
+    if (name === this.store.defaultProfile) {
+      throw new Error('Cannot delete the default profile. Set another default first.');
+    }
+
+    delete this.store.profiles[name];
+    await this.saveConfig();
+
+    if (name === this.profile) {
+      await this.activateProfile(this.store.defaultProfile);
+    }
+  }
+
+  async setDefaultProfile(name) {
+    if (!this.store.profiles[name]) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+
+    this.store.defaultProfile = name;
+    await this.saveConfig();
+  }
+
+  listProfiles() {
+    return Object.keys(this.store.profiles).map(name => {
+      const profile = this.store.profiles[name];
+      return {
+        name,
+        active: name === this.profile,
+        default: name === this.store.defaultProfile,
+        apiKey: profile.encryptedApiKey ? 'encrypted' : (profile.apiKey ? 'set' : 'not set')
+      };
+    });
+  }
+
+  async checkConfigPermissions() {
+    if (process.platform === 'win32') {
+      return;
+    }
+
+    const stat = await fs.stat(CONFIG_FILE);
+    if (stat.mode & 0o077) {
+      this.warning(`${CONFIG_FILE} is readable by other users! Run: chmod 600 ${CONFIG_FILE}`);
+    }
+  }
+
+  // Decrypt the stored API key with NVCH_PASSPHRASE or a prompted passphrase
+  async unlockApiKey() {
+    // An API key from the environment wins anyway, so don't ask
+    if (process.env[ENV_VARS.apiKey]) {
+      return false;
+    }
+
+    let passphrase = process.env.NVCH_PASSPHRASE;
+
+    if (!passphrase) {
+      if (!this.canPrompt()) {
+        this.warning('API Key is encrypted. Set NVCH_PASSPHRASE to unlock it.');
+        return false;
       }
+      passphrase = await this.questionHidden('🔒 Passphrase: ');
+    }
+
+    try {
+      this.unlockedApiKey = decryptSecret(this.fileConfig.encryptedApiKey, passphrase);
+      this.passphrase = passphrase;
+      return true;
     } catch (error) {
-      this.config = { apiKey: null, timeout: 20000, delay: 1000 };
+      this.error(`Cannot unlock API Key: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Recompute the effective config from flags, environment, file and defaults
+  resolveSettings() {
+    const file = this.unlockedApiKey
+      ? { ...this.fileConfig, apiKey: this.unlockedApiKey }
+      : this.fileConfig;
+
+    const { values, sources, warnings } = resolveConfig({
+      flags: this.flags,
+      file
+    });
+
+    this.config = values;
+    this.configSources = sources;
+    this.client = this.config.apiKey ? this.createClient() : null;
+
+    return warnings;
+  }
+
+  // Persist one setting to CONFIG_FILE; throws if the value is invalid
+  async updateSetting(key, value) {
+    const normalized = normalizeSetting(key, value);
+
+    if (key === 'apiKey' && this.fileConfig.encryptedApiKey) {
+      if (this.passphrase) {
+        this.fileConfig.encryptedApiKey = encryptSecret(normalized, this.passphrase);
+        this.unlockedApiKey = normalized;
+      } else {
+        // The old key could not be unlocked, so the new one replaces it unencrypted
+        delete this.fileConfig.encryptedApiKey;
+        this.fileConfig.apiKey = normalized;
+        this.warning('API Key encryption removed. Run "nvch config encrypt" to enable it again.');
+      }
+    } else {
+      this.fileConfig[key] = normalized;
+    }
+
+    this.resolveSettings();
+    await this.saveConfig();
+
+    const source = this.configSources[key];
+    if (source !== 'file') {
+      this.warning(`${key} is currently overridden by ${source === 'env' ? ENV_VARS[key] : 'a command-line flag'}`);
     }
-    return false;
+  }
+
+  // Suffix shown next to settings that do not come from the config file
+  settingSource(key) {
+    const source = this.configSources[key];
+    return source === 'env' || source === 'flag' ? ` (${source})` : '';
+  }
+
+  // Options handed to the reactor client on every (re)build
+  clientOptions() {
+    return { timeout: this.config.timeout };
+  }
+
+  createClient() {
+    return auth(this.config.apiKey, this.clientOptions());
   }
 
   async saveConfig() {
     try {
-      await fs.writeFile(CONFIG_FILE, JSON.stringify(this.config, null, 2));
+      // mode only applies on create, so tighten existing files as well
+      await fs.writeFile(CONFIG_FILE, JSON.stringify(this.store, null, 2), { mode: CONFIG_FILE_MODE });
+      await fs.chmod(CONFIG_FILE, CONFIG_FILE_MODE);
     } catch (error) {
       this.error('Failed to save configuration');
     }
@@ -130,7 +470,7 @@ class NVCHCLI {
 
   async saveHistory() {
     try {
-      await fs.writeFile(HISTORY_FILE, JSON.stringify(this.history, null, 2));
+      await writeFileAtomic(HISTORY_FILE, JSON.stringify(this.history, null, 2));
     } catch (error) {
       this.error('Failed to save history');
     }
@@ -139,21 +479,59 @@ class NVCHCLI {
   async addToHistory(entry) {
     this.history.unshift({
       ...entry,
+      profile: this.profile,
       timestamp: new Date().toISOString()
     });
-    
-    // Keep only last 100 entries
-    if (this.history.length > 100) {
-      this.history = this.history.slice(0, 100);
-    }
-    
+
+    await this.rotateHistory();
     await this.saveHistory();
   }
 
+  // Retention of the active profile: { limit, maxAge, archive }
+  retention() {
+    return {
+      limit: this.config.historyLimit,
+      maxAge: this.config.historyMaxAge,
+      archive: this.config.historyArchive
+    };
+  }
+
+  // Entries of the active profile past the given limits, and what stays
+  planRotation(retention = this.retention()) {
+    return applyRetention(this.history, { ...retention, profile: this.profile });
+  }
+
+  // Drop this profile's entries past the retention limits, moving them to the
+  // archive when archiving is on. Entries are kept if archiving fails.
+  async rotateHistory(retention = this.retention()) {
+    const { keep, rotated } = this.planRotation(retention);
+    let files = [];
+
+    if (rotated.length > 0 && retention.archive) {
+      try {
+        files = await archiveEntries(ARCHIVE_DIR, rotated);
+      } catch (error) {
+        this.warning(`History not rotated, archiving failed: ${error.message}`);
+        return { rotated: 0, files, error: error.message };
+      }
+    }
+
+    this.history = keep;
+    return { rotated: rotated.length, files };
+  }
+
+  // "last 100 entries, up to 30 days old, older ones deleted" style summary
+  retentionLabel(retention = this.retention()) {
+    const limit = retention.limit > 0 ? `last ${retention.limit} entries` : 'all entries';
+    const age = retention.maxAge > 0 ? `, up to ${retention.maxAge} days old` : '';
+    const archive = retention.archive ? `, older ones archived to ${ARCHIVE_DIR}` : ', older ones deleted';
+    return `${limit}${age}${archive}`;
+  }
+
   async setupApiKey() {
     this.printBanner();
     this.log('🔑 API Key Setup', 'yellow');
-    console.log();
+    this.newline();
     
     const apiKey = await this.question('Enter your API Key: ');
     
@@ -163,10 +541,24 @@ class NVCHCLI {
       return false;
     }
 
+    this.info('Verifying API Key...');
+    const verification = await this.verifyApiKey(apiKey.trim());
+
+    if (verification.valid) {
+      this.success('API Key verified!');
+    } else {
+      this.printVerificationError(verification);
+      this.newline();
+      const override = await this.question('Save it anyway for offline setup? (yes/no): ');
+      if (override.toLowerCase() !== 'yes') {
+        this.info('API Key not saved.');
+        await this.pause();
+        return false;
+      }
+    }
+
     try {
-      this.client = auth(apiKey.trim());
-      this.config.apiKey = apiKey.trim();
-      await this.saveConfig();
+      await this.updateSetting('apiKey', apiKey);
       this.success('API Key saved successfully!');
       await this.pause();
       return true;
@@ -177,6 +569,100 @@ class NVCHCLI {
     }
   }
 
+  // Make one authenticated call so a bad key fails here, not on the first send
+  async verifyApiKey(apiKey) {
+    const client = auth(apiKey, this.clientOptions());
+    const startTime = Date.now();
+
+    try {
+      // nvch-reactor 2.x: client.verifyApiKey() makes an authenticated
+      // request without reacting and rejects with error.status on failure
+      await withTimeout(client.verifyApiKey(), this.config.timeout);
+      return { valid: true, status: null, error: null, duration: Date.now() - startTime };
+    } catch (error) {
+      return {
+        valid: false,
+        status: error.status || null,
+        error: isTimeoutError(error) ? `Timed out after ${this.config.timeout}ms` : error.message,
+        timedOut: isTimeoutError(error),
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  printVerificationError(verification) {
+    this.error(`API Key verification failed: ${verification.error}`);
+    if (verification.status) {
+      this.log(`Status Code: ${verification.status}`, 'red');
+    }
+    if (verification.status === 401 || verification.status === 403) {
+      this.info('The service rejected this key. Check it for typos.');
+    }
+  }
+
+  verificationExitCode(verification) {
+    if (verification.valid) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    return verification.timedOut ? EXIT_CODES.TIMEOUT : exitCodeForStatus(verification.status);
+  }
+
+  // Store the API key encrypted with a passphrase instead of in plaintext
+  async encryptApiKey(passphrase) {
+    const apiKey = this.fileConfig.apiKey;
+
+    if (!apiKey) {
+      throw new Error(this.fileConfig.encryptedApiKey ? 'API Key is already encrypted' : 'No API Key stored in the config file');
+    }
+
+    if (!passphrase) {
+      throw new Error('Passphrase cannot be empty');
+    }
+
+    this.fileConfig.encryptedApiKey = encryptSecret(apiKey, passphrase);
+    delete this.fileConfig.apiKey;
+    this.unlockedApiKey = apiKey;
+    this.passphrase = passphrase;
+    await this.saveConfig();
+  }
+
+  async decryptApiKey() {
+    if (!this.fileConfig.encryptedApiKey) {
+      throw new Error('API Key is not encrypted');
+    }
+
+    if (!this.unlockedApiKey) {
+      throw new Error('API Key is locked. Set NVCH_PASSPHRASE or enter the passphrase when asked.');
+    }
+
+    this.fileConfig.apiKey = this.unlockedApiKey;
+    delete this.fileConfig.encryptedApiKey;
+    this.unlockedApiKey = null;
+    this.passphrase = null;
+    await this.saveConfig();
+  }
+
+  // Ask for a new passphrase twice, or take NVCH_PASSPHRASE
+  async askNewPassphrase() {
+    if (process.env.NVCH_PASSPHRASE) {
+      return process.env.NVCH_PASSPHRASE;
+    }
+
+    if (!this.canPrompt()) {
+      throw new Error('Set NVCH_PASSPHRASE to encrypt without a terminal');
+    }
+
+    const passphrase = await this.questionHidden('New passphrase: ');
+    const confirm = await this.questionHidden('Repeat passphrase: ');
+
+    if (passphrase !== confirm) {
+      throw new Error('Passphrases do not match');
+    }
+
+    return passphrase;
+  }
+
   async pause() {
     await this.question('\nPress Enter to continue...');
   }
@@ -185,37 +671,90 @@ class NVCHCLI {
   async sendSingleReaction() {
     this.printBanner();
     this.log('📤 Send Single Reaction', 'yellow');
-    console.log();
+    this.newline();
 
-    const url = await this.question('WhatsApp Channel URL: ');
-    
-    if (!validateUrl(url)) {
-      this.error('Invalid URL format!');
-      this.info('Format: https://whatsapp.com/channel/{CHANNEL_ID}/{POST_ID}');
+    let url;
+    try {
+      url = this.normalizeUrl(await this.question('WhatsApp Channel URL: '));
+    } catch (error) {
+      this.error(`Invalid URL: ${error.message}`);
+      this.info(`Format: ${URL_FORMAT}`);
       await this.pause();
       return;
     }
 
-    const emojis = await this.question('Emojis (comma-separated): ');
+    this.printEmojiShortcuts();
+    const emojis = this.readEmojis(await this.question('Emojis (comma-separated, :shortcodes: ok): '));
     
-    if (!emojis || emojis.trim() === '') {
-      this.error('Emojis cannot be empty!');
+    if (!emojis) {
       await this.pause();
       return;
     }
 
+    const confirm = await this.question('Send these emojis? (Y/n): ');
+    if (confirm.toLowerCase() === 'n') {
+      this.info('Cancelled.');
+      await this.pause();
+      return;
+    }
+
+    await this.executeSingleReaction(url, emojis);
+
+    await this.pause();
+  }
+
+  // Presets and recently used emojis that can be typed at an emoji prompt
+  printEmojiShortcuts() {
+    const presets = Object.entries(this.presets());
+    const recent = recentEmojis(this.history);
+
+    if (presets.length > 0) {
+      this.log(`Presets: ${presets.map(([name, emojis]) => `${name} (${emojis})`).join('  ')}`, 'dim');
+    }
+    if (recent.length > 0) {
+      this.log(`Recent: ${recent.map((emojis, index) => `${index + 1}) ${emojis}`).join('  ')}`, 'dim');
+    }
+  }
+
+  // Parse typed emojis and show what was understood; null (after an error) if unusable.
+  // A preset name or the number of a recent entry may be typed instead.
+  readEmojis(input, indent = '') {
+    const recent = recentEmojis(this.history);
+    const pick = /^\d+$/.test(input.trim()) ? recent[parseInt(input) - 1] : undefined;
+    const { emojis, invalid } = parseEmojis(pick || input, this.presets());
+
+    if (invalid.length > 0) {
+      this.error(`${indent}Not an emoji: ${invalid.map(item => `"${item}"`).join(', ')}`);
+      return null;
+    }
+
+    if (emojis.length === 0) {
+      this.error(`${indent}Emojis cannot be empty!`);
+      return null;
+    }
+
+    this.log(`${indent}🎭 ${emojis.join('  ')}  (${emojis.length} emoji${emojis.length === 1 ? '' : 's'})`, 'dim');
+    return formatEmojis(emojis);
+  }
+
+  async executeSingleReaction(url, emojis) {
+    if (this.dryRun) {
+      return this.planBatch([{ url, emojis }], { type: 'single', delay: 0 });
+    }
+
     this.info('Sending reaction...');
-    console.log();
+    this.newline();
 
     const startTime = Date.now();
     
     try {
-      const result = await this.client.sendReaction(url, emojis);
+      const { value: result, attempts } = await this.sendWithRetry(url, emojis);
       const duration = Date.now() - startTime;
       
       this.success('Reaction sent successfully!');
-      console.log();
+      this.newline();
       this.log(`⏱️  Duration: ${duration}ms`, 'dim');
+      this.log(`🔁 Attempts: ${attempts}/${this.config.maxAttempts}`, 'dim');
       this.log(`📩 Message: ${result.message}`, 'dim');
       this.log(`🤖 Bot Response: ${result.data.botResponse}`, 'dim');
       this.log(`🎭 Emojis: ${result.details.reacts}`, 'dim');
@@ -226,33 +765,60 @@ class NVCHCLI {
         emojis,
         status: 'success',
         duration,
+        attempts,
         message: result.message
       });
       
+      return {
+        url,
+        emojis,
+        status: 'success',
+        duration,
+        attempts,
+        message: result.message,
+        botResponse: result.data.botResponse,
+        reacts: result.details.reacts
+      };
     } catch (error) {
       const duration = Date.now() - startTime;
-      this.error(`Failed: ${error.message}`);
+      const status = isTimeoutError(error) ? 'timeout' : 'failed';
+
+      if (status === 'timeout') {
+        this.error(`Timed out after ${this.config.timeout}ms`);
+      } else {
+        this.error(`Failed: ${error.message}`);
+      }
       if (error.status) {
         this.log(`Status Code: ${error.status}`, 'red');
       }
+      this.log(`Attempts: ${error.attempts}/${this.config.maxAttempts}`, 'red');
       
       await this.addToHistory({
         type: 'single',
         url,
         emojis,
-        status: 'failed',
+        status,
         duration,
+        attempts: error.attempts,
         error: error.message
       });
-    }
 
-    await this.pause();
+      return {
+        url,
+        emojis,
+        status,
+        duration,
+        attempts: error.attempts,
+        error: error.message,
+        statusCode: error.status || null
+      };
+    }
   }
 
   async sendBatchReactions() {
     this.printBanner();
     this.log('📦 Send Batch Reactions', 'yellow');
-    console.log();
+    this.newline();
 
     const count = parseInt(await this.question('How many reactions? '));
     
@@ -263,26 +829,33 @@ class NVCHCLI {
     }
 
     const reactions = [];
+    this.printEmojiShortcuts();
     
     for (let i = 0; i < count; i++) {
-      console.log();
+      this.newline();
       this.log(`── Reaction ${i + 1}/${count} ──`, 'cyan');
       
-      const url = await this.question('  URL: ');
-      
-      if (!validateUrl(url)) {
-        this.error('  Invalid URL! Skipping...');
+      let urls;
+      try {
+        urls = await this.readPostUrls(await this.question('  URL (or .../<from>-<to>): '), '  ');
+      } catch (error) {
+        this.error(`  Invalid URL: ${error.message}. Skipping...`);
+        continue;
+      }
+
+      if (!urls) {
+        this.log('  Skipping...', 'red');
         continue;
       }
       
-      const emojis = await this.question('  Emojis: ');
+      const emojis = this.readEmojis(await this.question('  Emojis: '), '  ');
       
-      if (!emojis || emojis.trim() === '') {
-        this.error('  Empty emojis! Skipping...');
+      if (!emojis) {
+        this.log('  Skipping...', 'red');
         continue;
       }
       
-      reactions.push({ url, emojis });
+      urls.forEach(url => reactions.push({ url, emojis }));
     }
 
     if (reactions.length === 0) {
@@ -291,407 +864,2179 @@ class NVCHCLI {
       return;
     }
 
-    console.log();
-    const delay = parseInt(await this.question('Delay between requests (ms) [default: 1000]: ') || '1000');
+    this.newline();
+    const { reactions: toSend } = await this.resolveDuplicates(reactions);
+    if (toSend.length === 0) {
+      this.info('Nothing left to send.');
+      await this.pause();
+      return;
+    }
+
+    const confirm = await this.question(`Send these ${toSend.length} reactions? (Y/n): `);
+    if (confirm.toLowerCase() === 'n') {
+      this.info('Cancelled.');
+      await this.pause();
+      return;
+    }
+
+    this.newline();
+    const delay = await this.askDelay();
     
-    console.log();
-    this.info(`Sending ${reactions.length} reactions with ${delay}ms delay...`);
-    console.log();
+    await this.executeBatch(toSend, { type: 'batch', delay });
 
-    const startTime = Date.now();
-    let successCount = 0;
-    let failCount = 0;
+    await this.pause();
+  }
+
+  async postRangeMenu() {
+    this.printBanner();
+    this.log('🔢 React to a Post Range', 'yellow');
+    this.newline();
 
+    let urls;
     try {
-      const results = await this.client.sendBatchReactions(reactions, { delay });
-      
-      results.forEach((result, index) => {
-        if (result.success) {
-          successCount++;
-          this.success(`${index + 1}. Success: ${result.data.message}`);
-        } else {
-          failCount++;
-          this.error(`${index + 1}. Failed: ${result.error}`);
-        }
-      });
-      
-      const duration = Date.now() - startTime;
-      
-      console.log();
-      this.log('═════════════════════════════════════════', 'blue');
-      this.log(`📊 Batch Results`, 'bright');
-      this.log(`   Total: ${results.length}`, 'white');
-      this.log(`   ✅ Success: ${successCount}`, 'green');
-      this.log(`   ❌ Failed: ${failCount}`, 'red');
-      this.log(`   ⏱️  Duration: ${duration}ms`, 'dim');
-      this.log('═════════════════════════════════════════', 'blue');
+      const channelId = parseChannelId(await this.question('Channel ID or URL: '));
+      const from = await this.question('First post ID: ');
+      const to = await this.question('Last post ID: ');
+      urls = await this.confirmPostRange(postRange(channelId, from.trim(), to.trim()));
+    } catch (error) {
+      this.error(error.message);
+      await this.pause();
+      return;
+    }
+
+    if (!urls) {
+      this.info('Cancelled.');
+      await this.pause();
+      return;
+    }
+
+    this.printEmojiShortcuts();
+    const emojis = this.readEmojis(await this.question('Emojis (comma-separated, :shortcodes: ok): '));
+
+    if (!emojis) {
+      await this.pause();
+      return;
+    }
+
+    this.newline();
+    const { reactions } = await this.resolveDuplicates(urls.map(url => ({ url, emojis })));
+    if (reactions.length === 0) {
+      this.info('Nothing left to send.');
+      await this.pause();
+      return;
+    }
+
+    const delay = await this.askDelay();
+
+    await this.executeBatch(reactions, { type: 'batch', delay });
+
+    await this.pause();
+  }
+
+  // Pass an existing job to continue it; reactions then come from job.unsent()
+  async executeBatch(reactions, { type, file, delay, job = null, retryOf = null }) {
+    if (this.dryRun) {
+      return this.planBatch(reactions, { type, file, delay });
+    }
+
+    // Arrays are known up front; anything else is an async iterable read as it arrives
+    const streaming = !Array.isArray(reactions);
+    const total = streaming ? null : reactions.length;
+    const journal = job || await this.startJob(streaming ? [] : reactions, { type, file, delay });
+
+    this.newline();
+    this.info(streaming
+      ? `Sending reactions as they arrive with ${delay}ms delay...`
+      : `Sending ${total} reactions with ${delay}ms delay...`);
+    if (journal) {
+      this.log(`   Job ID: ${journal.id}`, 'dim');
+    }
+    this.newline();
+
+    const startTime = Date.now();
+    const progress = new BatchProgress(total, delay);
+    const items = [];
+    let timeoutCount = 0;
+    let inputError = null;
+    const cancellation = this.watchInterrupt();
+    const source = streaming ? reactions[Symbol.asyncIterator]() : reactions[Symbol.iterator]();
+    const counter = index => `${index + 1}/${total ?? '?'}`;
+
+    while (true) {
+      const index = items.length;
+
+      if (index > 0 && delay > 0) {
+        this.drawProgress(`${progress.render()} | waiting ${delay}ms`);
+        await sleep(delay, cancellation.promise);
+      }
+
+      if (cancellation.cancelled) {
+        break;
+      }
+
+      if (streaming) {
+        this.drawProgress(`${progress.render()} | waiting for input...`);
+      }
+
+      // Streamed input may be slow to arrive, so Ctrl+C must not wait for it
+      let next;
+      try {
+        next = await Promise.race([source.next(), cancellation.promise.then(() => ({ done: true }))]);
+      } catch (error) {
+        this.clearProgress();
+        this.error(`Failed to read input: ${error.message}`);
+        inputError = error.message;
+        break;
+      }
+
+      if (next.done) {
+        break;
+      }
+
+      const { url, emojis, journalIndex } = next.value;
+
+      this.drawProgress(`${progress.render()} | ${url}`);
+
+      const item = await this.sendBatchItem(index, url, emojis, cancellation);
+      items.push(item);
+      progress.record(item.success, item.duration);
+      await this.journalItem(journal, job ? journalIndex : (streaming && journal ? journal.add(next.value) : index), item);
+
+      this.clearProgress();
+      const tries = item.attempts > 1 ? ` (${item.attempts} attempts)` : '';
+      if (item.success) {
+        this.success(`${counter(index)} Success: ${item.message}${tries}`);
+      } else if (item.timedOut) {
+        timeoutCount++;
+        this.error(`${counter(index)} Timed out: ${item.error}${tries}`);
+      } else {
+        this.error(`${counter(index)} Failed: ${item.error}${tries}`);
+      }
+
+      if (this.output === 'ndjson') {
+        this.emit({ event: 'item', ...item, progress: { done: progress.done, total: progress.total, eta: progress.eta() } });
+      }
+    }
+
+    cancellation.dispose();
+    this.clearProgress();
+
+    const duration = Date.now() - startTime;
+    const successCount = progress.success;
+    const failCount = progress.failed;
+    // Streamed items are only read when they are about to be sent
+    const remaining = streaming ? [] : reactions.slice(items.length);
+    const retries = items.reduce((sum, item) => sum + (item.attempts || 1) - 1, 0);
+    const resumeFile = cancellation.cancelled && remaining.length > 0
+      ? await this.writeResumeFile(remaining)
+      : null;
+
+    let status = 'partial';
+    if (cancellation.cancelled) {
+      status = 'cancelled';
+    } else if (failCount === 0) {
+      status = 'success';
+    } else if (successCount === 0) {
+      status = 'failed';
+    }
+
+    // A broken input stream means the batch did not get everything it should have
+    if (inputError && status === 'success') {
+      status = successCount > 0 ? 'partial' : 'failed';
+    }
+
+    const resumable = journal ? await this.finishJob(journal, status) : false;
+    
+    this.newline();
+    this.log('═════════════════════════════════════════', 'blue');
+    this.log(`📊 ${type === 'file' ? 'Results' : 'Batch Results'}`, 'bright');
+    this.log(`   Total: ${items.length}`, 'white');
+    this.log(`   ✅ Success: ${successCount}`, 'green');
+    this.log(`   ❌ Failed: ${failCount}`, 'red');
+    if (timeoutCount > 0) {
+      this.log(`   ⌛ Timed out: ${timeoutCount}`, 'yellow');
+    }
+    if (cancellation.cancelled) {
+      this.log(`   ⛔ Not sent: ${remaining.length}`, 'yellow');
+    }
+    if (retries > 0) {
+      this.log(`   🔁 Retries: ${retries}`, 'dim');
+    }
+    this.log(`   ⏱️  Duration: ${duration}ms`, 'dim');
+    this.log('═════════════════════════════════════════', 'blue');
+
+    if (resumeFile) {
+      this.newline();
+      this.info(`Remaining reactions saved to ${resumeFile}`);
+      this.log(`   Send them later with: nvch batch ${resumeFile}`, 'dim');
+    }
+
+    if (resumable) {
+      this.newline();
+      this.info(`Unsent items can be resumed with: nvch resume ${journal.id}`);
+    }
+
+    const summary = {
+      type,
+      ...(file !== undefined && { file }),
+      ...(journal && { jobId: journal.id }),
+      ...(job && { resumed: true }),
+      ...(retryOf && { retryOf }),
+      total: items.length,
+      success: successCount,
+      failed: failCount,
+      ...(timeoutCount > 0 && { timeouts: timeoutCount }),
+      ...(retries > 0 && { retries }),
+      ...(inputError && { inputError }),
+      duration,
+      status
+    };
+
+    if (cancellation.cancelled) {
+      summary.remaining = remaining.length;
+      summary.resumeFile = resumeFile;
+    }
+
+    await this.addToHistory({ ...summary, results: this.historyItems(items, remaining) });
+
+    // When every item failed the same way, surface that status for the exit code
+    const statuses = [...new Set(items.filter(item => !item.success).map(item => item.statusCode))];
+    
+    return {
+      ...summary,
+      statusCode: statuses.length === 1 ? statuses[0] : null,
+      results: items
+    };
+  }
+
+  // What a send would do: the requests in order, when each would start and the
+  // expected total time
+  async planBatch(reactions, { type, file, delay }) {
+    const planned = [];
+    for await (const { url, emojis } of reactions) {
+      planned.push({ url, emojis });
+    }
+
+    const requestTime = this.averageRequestTime();
+    planned.forEach((item, index) => {
+      item.startsAt = index * (requestTime + delay);
+    });
+    const estimatedDuration = planned.length * requestTime + Math.max(0, planned.length - 1) * delay;
+
+    this.newline();
+    this.warning('Dry run: nothing will be sent and nothing is recorded in history');
+    this.newline();
+    planned.forEach((item, index) => {
+      this.log(`   ${index + 1}. +${formatDuration(item.startsAt).padEnd(7)} ${item.url}  ${item.emojis}`, 'white');
+    });
+
+    this.newline();
+    this.log('═════════════════════════════════════════', 'blue');
+    this.log('🧪 Planned Requests', 'bright');
+    this.log(`   Requests: ${planned.length}`, 'white');
+    if (type !== 'single') {
+      this.log(`   Delay: ${delay}ms`, 'white');
+    }
+    this.log(`   ⏱️  Estimated duration: ${formatDuration(estimatedDuration)}${requestTime ? '' : ' (plus request time)'}`, 'dim');
+    this.log('═════════════════════════════════════════', 'blue');
+
+    return {
+      type,
+      ...(file !== undefined && { file }),
+      dryRun: true,
+      total: planned.length,
+      delay,
+      estimatedDuration,
+      status: 'planned',
+      planned
+    };
+  }
+
+  // Mean duration of single sends in history; batch durations include their delays
+  averageRequestTime() {
+    const timed = this.history.filter(h => h.type === 'single' && h.duration);
+    return timed.length > 0
+      ? Math.round(timed.reduce((sum, h) => sum + h.duration, 0) / timed.length)
+      : 0;
+  }
+
+  async startJob(reactions, { type, file, delay }) {
+    try {
+      return await JobJournal.create(JOBS_DIR, { type, file, delay, profile: this.profile, reactions });
+    } catch (error) {
+      this.warning(`Job journal unavailable, this batch cannot be resumed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async journalItem(journal, index, item) {
+    if (!journal) {
+      return;
+    }
+
+    try {
+      await journal.mark(index, item.success ? 'sent' : 'failed', item.error);
+    } catch (error) {
+      this.warning(`Failed to update job journal: ${error.message}`);
+    }
+  }
+
+  // Returns whether the job still has unsent items
+  async finishJob(journal, status) {
+    try {
+      return await journal.finish(status === 'cancelled' ? 'cancelled' : 'incomplete');
+    } catch (error) {
+      this.warning(`Failed to update job journal: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Per-item outcomes as stored in history, with unsent items as pending
+  historyItems(items, pending = []) {
+    return [
+      ...items.map(item => ({
+        url: item.url,
+        emojis: item.emojis,
+        status: item.success ? 'sent' : (item.timedOut ? 'timeout' : 'failed'),
+        ...(item.attempts > 1 && { attempts: item.attempts }),
+        ...(item.error && { error: item.error })
+      })),
+      ...pending.map(({ url, emojis }) => ({ url, emojis, status: 'pending' }))
+    ];
+  }
+
+  // Save unsent reactions in the JSON file format accepted by batch/Load from File
+  async writeResumeFile(reactions) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.resolve(`nvch-resume-${stamp}.json`);
+
+    try {
+      await fs.writeFile(file, JSON.stringify(reactions.map(({ url, emojis }) => ({ url, emojis })), null, 2));
+      return file;
+    } catch (error) {
+      this.error(`Failed to write resume file: ${error.message}`);
+      return null;
+    }
+  }
+
+  // First Ctrl+C stops the running batch after the in-flight item, a second one quits
+  watchInterrupt() {
+    let cancel;
+    const cancellation = {
+      cancelled: false,
+      promise: new Promise(resolve => { cancel = resolve; })
+    };
+
+    const onInterrupt = () => {
+      this.clearProgress();
+
+      if (cancellation.cancelled) {
+        this.error('Aborted!');
+        process.exit(EXIT_CODES.CANCELLED);
+      }
+
+      cancellation.cancelled = true;
+      this.warning('Cancelling after the current item... (Ctrl+C again to quit now)');
+      cancel();
+    };
+
+    // An open readline interface swallows Ctrl+C and re-emits it on itself
+    const reader = rl;
+    process.on('SIGINT', onInterrupt);
+    if (reader) {
+      reader.on('SIGINT', onInterrupt);
+    }
+
+    cancellation.dispose = () => {
+      process.removeListener('SIGINT', onInterrupt);
+      if (reader) {
+        reader.removeListener('SIGINT', onInterrupt);
+      }
+    };
+
+    return cancellation;
+  }
+
+  // One reaction with the configured timeout and retry policy
+  sendWithRetry(url, emojis, label = '', cancellation = null) {
+    return withRetry(
+      () => withTimeout(this.client.sendReaction(url, emojis), this.config.timeout + TIMEOUT_MARGIN),
+      this.config,
+      ({ attempt, error, wait }) => {
+        const reason = error.status ? `${error.status} ${error.message}` : error.message;
+        this.clearProgress();
+        this.warning(`${label}Attempt ${attempt}/${this.config.maxAttempts} failed (${reason}), retrying in ${wait < 1000 ? `${wait}ms` : `${(wait / 1000).toFixed(1)}s`}...`);
+      },
+      cancellation
+    );
+  }
+
+  async sendBatchItem(index, url, emojis, cancellation) {
+    const startTime = Date.now();
+    const item = { index: index + 1, url, emojis };
+
+    try {
+      const { value: result, attempts } = await this.sendWithRetry(url, emojis, `${index + 1}. `, cancellation);
+      return { ...item, success: true, duration: Date.now() - startTime, attempts, message: result.message };
+    } catch (error) {
+      return {
+        ...item,
+        success: false,
+        duration: Date.now() - startTime,
+        attempts: error.attempts,
+        error: error.message,
+        statusCode: error.status || null,
+        ...(isTimeoutError(error) && { timedOut: true })
+      };
+    }
+  }
+
+  async loadFromFile() {
+    this.printBanner();
+    this.log('📋 Load Reactions from File', 'yellow');
+    this.newline();
+    
+    this.info('Supported formats (detected by extension or content):');
+    this.newline();
+    this.log('  JSON    [{ "url": "https://...", "emojis": "👍,❤️" }]', 'dim');
+    this.log('  NDJSON  { "url": "https://...", "emojis": "🔥" }   (one per line)', 'dim');
+    this.log('  CSV     url,emojis  header, then  https://...,"👍,❤️"', 'dim');
+    this.log('  Text    https://...<TAB or space>👍,❤️   (one per line)', 'dim');
+    this.newline();
+
+    const filePath = await this.question('File path: ');
+    
+    try {
+      const { valid: validReactions, rejected } = await this.readReactionFile(filePath);
       
-      await this.addToHistory({
-        type: 'batch',
-        total: reactions.length,
-        success: successCount,
-        failed: failCount,
-        duration,
-        status: failCount === 0 ? 'success' : 'partial'
-      });
+      this.printRejected(rejected);
+
+      if (validReactions.length === 0) {
+        this.error('No valid reactions found in file!');
+        await this.pause();
+        return;
+      }
       
-    } catch (error) {
-      this.error(`Batch error: ${error.message}`);
+      this.success(`Loaded ${validReactions.length} reactions`);
+
+      if (rejected.length > 0) {
+        const proceed = await this.question(`Send the ${validReactions.length} valid reactions anyway? (y/n): `);
+        if (proceed.toLowerCase() !== 'y') {
+          this.info('Cancelled.');
+          await this.pause();
+          return;
+        }
+      }
+
+      const { reactions } = await this.resolveDuplicates(validReactions);
+      if (reactions.length === 0) {
+        this.info('Nothing left to send.');
+        await this.pause();
+        return;
+      }
       
-      await this.addToHistory({
-        type: 'batch',
-        total: reactions.length,
-        status: 'failed',
-        error: error.message
-      });
+      this.newline();
+      const delay = await this.askDelay();
+      
+      await this.executeBatch(reactions, { type: 'file', file: filePath, delay });
+      
+    } catch (error) {
+      this.error(`Failed to load file: ${error.message}`);
+    }
+
+    await this.pause();
+  }
+
+  // Parse and check a whole reaction file ("-" reads all of stdin).
+  // Resolves to { valid, rejected } with a reason for every rejected entry.
+  async readReactionFile(filePath) {
+    let reactions;
+
+    if (filePath === '-') {
+      reactions = [];
+      for await (const entry of streamReactions(process.stdin)) {
+        reactions.push(entry);
+      }
+    } else {
+      const data = await fs.readFile(filePath, 'utf8');
+      reactions = parseReactions(data, detectFormat(filePath, data));
+    }
+    
+    return lintReactions(reactions, validateUrl, this.lintOptions());
+  }
+
+  lintOptions() {
+    return { presets: this.presets(), allowDuplicates: this.duplicates === 'allow' };
+  }
+
+  // Drop repeats within the batch, then decide about posts that already got a
+  // reaction: --skip-sent / --allow-duplicates, or ask when there is a terminal.
+  // Resolves to { reactions, skipped }.
+  async resolveDuplicates(reactions) {
+    if (this.duplicates === 'allow') {
+      return { reactions, skipped: [] };
+    }
+
+    const { unique, duplicates } = collapseDuplicates(reactions);
+    if (duplicates.length > 0) {
+      this.info(`Removed ${duplicates.length} duplicate ${duplicates.length === 1 ? 'reaction' : 'reactions'} within this batch`);
+    }
+
+    const { fresh, previouslySent } = checkAgainstHistory(unique, this.history);
+    if (previouslySent.length === 0) {
+      return { reactions: unique, skipped: duplicates };
+    }
+
+    this.warning(`${previouslySent.length} ${previouslySent.length === 1 ? 'post has' : 'posts have'} already been sent a reaction:`);
+    previouslySent.slice(0, 10).forEach(({ reaction, previous }) => {
+      this.log(`   ${reaction.url}  ${previous.emojis} on ${new Date(previous.timestamp).toLocaleString()}`, 'yellow');
+    });
+    if (previouslySent.length > 10) {
+      this.log(`   ...and ${previouslySent.length - 10} more`, 'yellow');
+    }
+
+    let resend = false;
+    if (this.duplicates !== 'skip') {
+      if (this.canPrompt()) {
+        resend = (await this.question('Send to these posts again? (y/N): ')).toLowerCase() === 'y';
+      } else {
+        this.info('Skipping them; use --allow-duplicates to send anyway.');
+      }
+    }
+
+    if (resend) {
+      return { reactions: unique, skipped: duplicates };
+    }
+
+    return { reactions: fresh, skipped: [...duplicates, ...previouslySent.map(({ reaction }) => reaction)] };
+  }
+
+  printRejected(rejected) {
+    if (rejected.length === 0) {
+      return;
+    }
+
+    this.warning(`${rejected.length} invalid ${rejected.length === 1 ? 'entry' : 'entries'}:`);
+    rejected.forEach(({ position, reason }) => {
+      this.log(`   ${position}: ${reason}`, 'yellow');
+    });
+  }
+
+  // Valid reactions from a stream (null when it ends without any), plus the
+  // rejected and skipped entries, which fill up as the stream is read.
+  // Waiting for the first one makes empty input fail like an empty file.
+  async readReactionStream(input) {
+    const check = createLinter(validateUrl, this.lintOptions());
+    const sent = this.duplicates === 'allow' ? new Map() : sentPosts(this.history);
+    const rejected = [];
+    const skipped = [];
+    const cli = this;
+
+    const reactions = (async function* () {
+      for await (const entry of streamReactions(input)) {
+        const { reaction, reason } = check(entry);
+
+        if (reason) {
+          cli.clearProgress();
+          cli.warning(`Skipped ${entryPosition(entry)}: ${reason}`);
+          rejected.push({ position: entryPosition(entry), reason });
+        } else if (sent.has(postKey(reaction.url))) {
+          // stdin carries the data, so there is no one to ask
+          cli.clearProgress();
+          cli.warning(`Skipped ${entryPosition(entry)}: already sent ${sent.get(postKey(reaction.url)).emojis} to this post (--allow-duplicates to send anyway)`);
+          skipped.push(reaction);
+        } else {
+          yield reaction;
+        }
+      }
+    })();
+
+    const first = await reactions.next();
+
+    return {
+      reactions: first.done ? null : (async function* () {
+        yield first.value;
+        yield* reactions;
+      })(),
+      rejected,
+      skipped
+    };
+  }
+
+  async resumeJobMenu() {
+    this.printBanner();
+    this.log('⏯️  Resume Job', 'yellow');
+    this.newline();
+
+    const jobs = await JobJournal.list(JOBS_DIR);
+
+    if (jobs.length === 0) {
+      this.warning('No unfinished jobs found!');
+      await this.pause();
+      return;
+    }
+
+    this.printJobs(jobs);
+    this.newline();
+
+    const choice = parseInt(await this.question('Select job [0 to cancel]: '));
+    const journal = jobs[choice - 1];
+
+    if (!journal) {
+      this.info('Cancelled.');
+      await this.pause();
+      return;
+    }
+
+    const jobDelay = journal.data.delay ?? this.config.delay;
+    const delay = await this.askDelay(jobDelay);
+
+    await this.resumeJob(journal, delay);
+
+    await this.pause();
+  }
+
+  printJobs(jobs) {
+    jobs.forEach((journal, index) => {
+      const { sent, failed, pending } = journal.counts();
+      const source = journal.data.file ? ` ${journal.data.file}` : '';
+      this.log(`  ${index + 1}. ${journal.id} [${journal.data.status}] ${journal.data.type}${source}`, 'white');
+      this.log(`     ${new Date(journal.data.createdAt).toLocaleString()} | ✅ ${sent} sent | ❌ ${failed} failed | ⏳ ${pending} pending`, 'dim');
+    });
+  }
+
+  async resumeJob(journal, delay) {
+    if (journal.data.profile && journal.data.profile !== this.profile) {
+      this.warning(`Job was started with profile "${journal.data.profile}", resuming with "${this.profile}"`);
+    }
+
+    const unsent = journal.unsent();
+    this.info(`Resuming job ${journal.id}: ${unsent.length} unsent of ${journal.data.items.length}`);
+
+    const { reactions, skipped } = await this.resolveDuplicates(unsent);
+
+    // A dry run leaves the journal as it is
+    if (!this.dryRun) {
+      try {
+        for (const { journalIndex } of skipped) {
+          await journal.mark(journalIndex, 'skipped');
+        }
+      } catch (error) {
+        this.warning(`Failed to update job journal: ${error.message}`);
+      }
+    }
+
+    if (reactions.length === 0) {
+      this.info('Nothing left to send.');
+      if (!this.dryRun) {
+        await this.finishJob(journal, 'incomplete');
+      }
+      return { type: journal.data.type, jobId: journal.id, resumed: true, total: 0, skipped: skipped.length, status: 'skipped' };
+    }
+
+    const result = await this.executeBatch(reactions, {
+      type: journal.data.type,
+      file: journal.data.file,
+      delay,
+      job: journal
+    });
+
+    return { ...result, ...(skipped.length > 0 && { skipped: skipped.length }) };
+  }
+
+  async retryFailuresMenu() {
+    this.printBanner();
+    this.log('🔁 Retry Failures', 'yellow');
+    this.newline();
+
+    const candidates = this.retryableEntries().slice(0, 10);
+
+    if (candidates.length === 0) {
+      this.warning('No batch or file runs with failed items found!');
+      await this.pause();
+      return;
+    }
+
+    candidates.forEach(({ entry, position }) => {
+      const failed = this.failedReactions(entry).length;
+      const source = entry.file ? ` ${entry.file}` : '';
+      this.log(`  [${position}] ${new Date(entry.timestamp).toLocaleString()} ${entry.type}${source} - ❌ ${failed} failed of ${entry.results.length}`, 'white');
+    });
+    this.newline();
+
+    const position = parseInt(await this.question('History entry to retry [0 to cancel]: '));
+    const candidate = candidates.find(c => c.position === position);
+
+    if (!candidate) {
+      this.info('Cancelled.');
+      await this.pause();
+      return;
+    }
+
+    const delay = await this.askDelay();
+
+    await this.retryFailures(candidate.entry, delay);
+
+    await this.pause();
+  }
+
+  // History entries, with their 1-based position, that have failed items and
+  // have not been retried yet (a retry's own failures show up as its own entry)
+  retryableEntries() {
+    const retried = new Set(this.history.map(entry => entry.retryOf).filter(Boolean));
+
+    return this.history
+      .map((entry, index) => ({ entry, position: index + 1 }))
+      .filter(({ entry }) => Array.isArray(entry.results) && !retried.has(entry.timestamp))
+      .filter(({ entry }) => this.failedReactions(entry).length > 0);
+  }
+
+  failedReactions(entry) {
+    return (entry.results || [])
+      .filter(item => item.status === 'failed' || item.status === 'timeout')
+      .map(({ url, emojis }) => ({ url, emojis }));
+  }
+
+  async retryFailures(entry, delay) {
+    const failed = this.failedReactions(entry);
+    this.info(`Retrying ${failed.length} failed reactions from ${new Date(entry.timestamp).toLocaleString()}`);
+
+    const { reactions, skipped } = await this.resolveDuplicates(failed);
+    if (reactions.length === 0) {
+      this.info('Nothing left to send.');
+      return { type: entry.type, retryOf: entry.timestamp, total: 0, skipped: skipped.length, status: 'skipped' };
+    }
+
+    const result = await this.executeBatch(reactions, {
+      type: entry.type,
+      file: entry.file,
+      delay,
+      retryOf: entry.timestamp
+    });
+
+    if (entry.jobId) {
+      await this.markRetriedItems(entry.jobId, result.results || []);
+    }
+
+    return { ...result, ...(skipped.length > 0 && { skipped: skipped.length }) };
+  }
+
+  // Mark what a retry sent as sent in the original run's journal, so resuming
+  // that job does not send it again. The journal is removed once nothing is left.
+  async markRetriedItems(jobId, items) {
+    const sent = new Set(items.filter(item => item.success).map(item => `${postKey(item.url)} ${item.emojis}`));
+    if (sent.size === 0) {
+      return;
+    }
+
+    let journal;
+    try {
+      journal = await JobJournal.load(JOBS_DIR, jobId);
+    } catch (error) {
+      // Finished jobs have no journal left to update
+      return;
+    }
+
+    try {
+      for (const [index, item] of journal.data.items.entries()) {
+        if (item.state !== 'sent' && sent.has(`${postKey(item.url)} ${item.emojis}`)) {
+          await journal.mark(index, 'sent');
+        }
+      }
+      await journal.finish(journal.data.status);
+    } catch (error) {
+      this.warning(`Failed to update job journal: ${error.message}`);
+    }
+  }
+
+  async validateUrlMenu() {
+    this.printBanner();
+    this.log('🔗 Validate URL', 'yellow');
+    this.newline();
+
+    const url = await this.question('Enter URL to validate: ');
+    
+    this.newline();
+    
+    this.printUrlDetails(url);
+
+    await this.pause();
+  }
+
+  // One post URL, or every post of a range URL (.../170-178) after the user
+  // confirms it; null when the range is declined
+  async readPostUrls(input, indent = '') {
+    const range = parsePostRange(input);
+    return range ? this.confirmPostRange(range, indent) : [this.normalizeUrl(input)];
+  }
+
+  // Check every post of a range with nvch-reactor and ask before using it
+  async confirmPostRange(range, indent = '') {
+    const rejected = range.urls.find(url => !validateUrl(url));
+    if (rejected) {
+      throw new UrlError(`${rejected} is not accepted by nvch-reactor`);
+    }
+
+    this.info(`${indent}Post range: ${range.urls.length} posts (${range.from}-${range.to}) in channel ${range.channelId}`);
+
+    if (!this.canPrompt()) {
+      return range.urls;
+    }
+
+    const answer = await this.question(`${indent}React to all ${range.urls.length} posts? (Y/n): `);
+    return answer.toLowerCase() === 'n' ? null : range.urls;
+  }
+
+  // Canonical form of a post URL, checked by nvch-reactor as well; throws a
+  // UrlError that says what is wrong otherwise
+  normalizeUrl(input) {
+    const { url } = parsePostUrl(input);
+
+    if (!validateUrl(url)) {
+      throw new UrlError('URL is not accepted by nvch-reactor');
+    }
+
+    return url;
+  }
+
+  describeUrl(url) {
+    try {
+      const normalized = this.normalizeUrl(url);
+      const { channelId, postId } = parsePostUrl(normalized);
+      return { url, valid: true, normalized, channelId, postId };
+    } catch (error) {
+      return { url, valid: false, error: error.message, channelId: null, postId: null };
+    }
+  }
+
+  printUrlDetails(url) {
+    const details = this.describeUrl(url);
+
+    if (details.valid) {
+      this.success('✓ URL is valid!');
+      
+      this.newline();
+      this.log(`📋 Details:`, 'dim');
+      this.log(`   Channel ID: ${details.channelId}`, 'dim');
+      this.log(`   Post ID: ${details.postId}`, 'dim');
+      if (details.normalized !== details.url) {
+        this.log(`   Normalized: ${details.normalized}`, 'dim');
+      }
+      return details;
+    }
+
+    this.error(`✗ URL is invalid: ${details.error}`);
+    this.newline();
+    this.info(`Valid format: ${URL_FORMAT}`);
+    this.newline();
+    this.log('Example:', 'dim');
+    this.log('https://whatsapp.com/channel/0029VbAzDjIBFLgbEyadQb3y/178', 'dim');
+    return details;
+  }
+
+  async viewHistory() {
+    this.printBanner();
+    this.log('📊 Reaction History', 'yellow');
+    this.newline();
+
+    if (this.history.length === 0) {
+      this.warning('No history found!');
+      await this.pause();
+      return;
+    }
+
+    this.log('  1. Show latest entries', 'white');
+    this.log('  2. Search / filter', 'white');
+    this.newline();
+
+    let filter = createHistoryFilter();
+
+    if (await this.question('Select option [default: 1]: ') === '2') {
+      this.newline();
+      this.info('Press Enter to skip a filter.');
+      try {
+        filter = createHistoryFilter({
+          since: await this.question('Since (e.g. 7d, 2026-10-01): '),
+          until: await this.question('Until: '),
+          type: await this.question('Type (single/batch/file): '),
+          status: await this.question('Status (success/failed/partial/timeout/cancelled): '),
+          channel: await this.question('Channel ID or URL: '),
+          emoji: await this.question('Emoji: '),
+          error: await this.question('Error text: ')
+        });
+      } catch (error) {
+        this.error(error.message);
+        await this.pause();
+        return;
+      }
+    }
+
+    const limit = parseInt(await this.question('Show entries [default: 10]: ') || '10');
+    const matches = queryHistory(this.history, filter);
+    
+    this.newline();
+    if (matches.length === 0) {
+      this.warning('No matching history entries!');
+    } else {
+      this.info(`${matches.length} of ${this.history.length} entries match`);
+      this.printHistory(matches.slice(0, limit));
+    }
+
+    await this.pause();
+  }
+
+  // entries are { entry, position } pairs, position being the place in the full history
+  printHistory(entries) {
+    this.log('═════════════════════════════════════════════════════════════', 'blue');
+    
+    entries.forEach(({ entry, position }) => {
+      this.newline();
+      this.log(`[${position}] ${new Date(entry.timestamp).toLocaleString()}`, 'cyan');
+      this.log(`    Type: ${entry.type}`, 'white');
+      if (entry.profile) {
+        this.log(`    Profile: ${entry.profile}`, 'white');
+      }
+      
+      if (entry.type === 'single') {
+        this.log(`    URL: ${entry.url}`, 'dim');
+        this.log(`    Emojis: ${entry.emojis}`, 'dim');
+      } else {
+        this.log(`    Total: ${entry.total}`, 'dim');
+        if (entry.success !== undefined) {
+          this.log(`    Success: ${entry.success} | Failed: ${entry.failed}`, 'dim');
+        }
+        if (entry.retryOf) {
+          this.log(`    Retry of: ${new Date(entry.retryOf).toLocaleString()}`, 'dim');
+        }
+        if (entry.remaining) {
+          this.log(`    Not sent: ${entry.remaining}${entry.resumeFile ? ` (resume file: ${entry.resumeFile})` : ''}`, 'dim');
+        }
+      }
+      
+      const statusColor = { success: 'green', partial: 'yellow', timeout: 'yellow', cancelled: 'yellow' }[entry.status] || 'red';
+      this.log(`    Status: ${entry.status}`, statusColor);
+      
+      if (entry.duration) {
+        this.log(`    Duration: ${entry.duration}ms`, 'dim');
+      }
+
+      if (entry.attempts > 1 || entry.retries) {
+        this.log(`    ${entry.attempts ? `Attempts: ${entry.attempts}` : `Retries: ${entry.retries}`}`, 'dim');
+      }
+      
+      if (entry.error) {
+        this.log(`    Error: ${entry.error}`, 'red');
+      }
+    });
+    
+    this.newline();
+    this.log('═════════════════════════════════════════════════════════════', 'blue');
+  }
+
+  async clearHistory() {
+    this.printBanner();
+    this.log('🗑️  Clear History', 'yellow');
+    this.newline();
+
+    const confirm = await this.question('Are you sure? This cannot be undone! (yes/no): ');
+    
+    if (confirm.toLowerCase() === 'yes') {
+      this.history = [];
+      await this.saveHistory();
+      this.success('History cleared!');
+    } else {
+      this.info('Cancelled.');
+    }
+
+    await this.pause();
+  }
+
+  async settings() {
+    this.printBanner();
+    this.log('⚙️  Settings', 'yellow');
+    this.newline();
+
+    this.log('Current Settings:', 'cyan');
+    this.log(`  Profile: ${this.profile}`, 'white');
+    this.log(`  API Key: ${this.apiKeyLabel()}`, 'white');
+    this.log(`  Timeout: ${this.config.timeout}ms${this.settingSource('timeout')}`, 'white');
+    this.log(`  Delay: ${this.config.delay}ms${this.settingSource('delay')}`, 'white');
+    this.log(`  Retry: ${this.config.maxAttempts} attempts, ${this.config.retryDelay}ms base backoff${this.settingSource('maxAttempts') || this.settingSource('retryDelay')}`, 'white');
+    this.log(`  Dry Run: ${this.dryRun ? 'on' : 'off'} (this session only)`, 'white');
+    this.log(`  Emoji Presets: ${Object.keys(this.presets()).join(', ') || 'none'}`, 'white');
+    this.log(`  History: ${this.retentionLabel()}${this.settingSource('historyLimit') || this.settingSource('historyMaxAge') || this.settingSource('historyArchive')}`, 'white');
+    this.newline();
+    
+    const encrypted = Boolean(this.fileConfig.encryptedApiKey);
+
+    this.log('Options:', 'cyan');
+    this.log('  1. Change API Key', 'white');
+    this.log('  2. Change Timeout', 'white');
+    this.log('  3. Change Default Delay', 'white');
+    this.log(`  4. ${encrypted ? 'Remove API Key Encryption' : 'Encrypt API Key'}`, 'white');
+    this.log('  5. Profiles', 'white');
+    this.log('  6. Change Retry Policy', 'white');
+    this.log(`  7. ${this.dryRun ? 'Disable' : 'Enable'} Dry Run`, 'white');
+    this.log('  8. Emoji Presets', 'white');
+    this.log('  9. History Retention', 'white');
+    this.log('  0. Back', 'white');
+    this.newline();
+
+    const choice = await this.question('Select option: ');
+
+    switch (choice) {
+      case '1':
+        await this.setupApiKey();
+        break;
+      case '2':
+        try {
+          await this.updateSetting('timeout', await this.question('New timeout (ms): '));
+          this.success('Timeout updated!');
+        } catch (error) {
+          this.error('Invalid timeout!');
+        }
+        await this.pause();
+        break;
+      case '3':
+        try {
+          await this.updateSetting('delay', await this.question('New default delay (ms): '));
+          this.success('Default delay updated!');
+        } catch (error) {
+          this.error('Invalid delay!');
+        }
+        await this.pause();
+        break;
+      case '4':
+        try {
+          if (encrypted) {
+            await this.decryptApiKey();
+            this.success('API Key is stored unencrypted again.');
+          } else {
+            await this.encryptApiKey(await this.askNewPassphrase());
+            this.success('API Key encrypted! You will be asked for the passphrase on start.');
+          }
+        } catch (error) {
+          this.error(error.message);
+        }
+        await this.pause();
+        break;
+      case '5':
+        await this.profilesMenu();
+        break;
+      case '6':
+        try {
+          await this.updateSetting('maxAttempts', await this.question('Max attempts per reaction (1 = no retry): '));
+          await this.updateSetting('retryDelay', await this.question('Base backoff delay (ms): '));
+          this.success('Retry policy updated!');
+        } catch (error) {
+          this.error(`Invalid value: ${error.message}`);
+        }
+        await this.pause();
+        break;
+      case '7':
+        this.dryRun = !this.dryRun;
+        this.success(this.dryRun
+          ? 'Dry run enabled: sends are only planned, nothing is sent or recorded.'
+          : 'Dry run disabled.');
+        await this.pause();
+        break;
+      case '8':
+        await this.presetsMenu();
+        break;
+      case '9':
+        await this.retentionMenu();
+        break;
+    }
+  }
+
+  async retentionMenu() {
+    this.printBanner();
+    this.log('🗂️  History Retention', 'yellow');
+    this.newline();
+
+    this.log(`Currently keeping ${this.retentionLabel()}.`, 'white');
+    this.log(`History has ${this.history.length} entries.`, 'dim');
+    this.newline();
+
+    const { historyLimit, historyMaxAge, historyArchive } = this.config;
+    const limit = await this.question(`Entries to keep (0 = no limit) [current: ${historyLimit}]: `);
+    const maxAge = await this.question(`Max age in days (0 = no limit) [current: ${historyMaxAge}]: `);
+    const archive = await this.question(`Archive old entries instead of deleting them? (y/n) [current: ${historyArchive ? 'y' : 'n'}]: `);
+
+    // Enter keeps the current value; all answers are checked before any is saved
+    const answers = Object.entries({
+      historyLimit: limit,
+      historyMaxAge: maxAge,
+      historyArchive: { y: 'yes', n: 'no' }[archive.trim().toLowerCase()] || archive
+    }).filter(([, value]) => value.trim() !== '');
+
+    try {
+      answers.forEach(([key, value]) => normalizeSetting(key, value));
+      for (const [key, value] of answers) {
+        await this.updateSetting(key, value);
+      }
+      this.success(answers.length > 0 ? 'History retention updated!' : 'History retention unchanged.');
+    } catch (error) {
+      this.error(`Invalid value: ${error.message}`);
+      await this.pause();
+      return;
+    }
+
+    const { rotated } = this.planRotation();
+
+    if (rotated.length > 0) {
+      const action = this.config.historyArchive ? 'Archive' : 'Delete';
+      const confirm = await this.question(`${action} ${rotated.length} entries past the new limits now? (y/n): `);
+
+      if (confirm.toLowerCase() === 'y') {
+        const result = await this.rotateHistory();
+        await this.saveHistory();
+        this.printPruneResult(result);
+      } else {
+        this.info('They will be rotated out with the next reaction.');
+      }
+    }
+
+    await this.pause();
+  }
+
+  printPruneResult({ rotated, files }) {
+    if (rotated === 0) {
+      this.info('Nothing to prune.');
+      return;
+    }
+
+    this.success(`Removed ${rotated} entries from history, ${this.history.length} left`);
+    files.forEach(file => this.log(`  📦 ${file}`, 'dim'));
+  }
+
+  printProfiles() {
+    this.listProfiles().forEach(profile => {
+      const marker = profile.active ? '▶' : ' ';
+      const flags = profile.default ? ' (default)' : '';
+      this.log(`  ${marker} ${profile.name}${flags} - API Key ${profile.apiKey}`, profile.active ? 'green' : 'white');
+    });
+  }
+
+  async profilesMenu() {
+    this.printBanner();
+    this.log('👤 Profiles', 'yellow');
+    this.newline();
+
+    this.printProfiles();
+    this.newline();
+
+    this.log('Options:', 'cyan');
+    this.log('  1. Switch Profile', 'white');
+    this.log('  2. Create Profile', 'white');
+    this.log('  3. Delete Profile', 'white');
+    this.log('  4. Set Default Profile', 'white');
+    this.log('  0. Back', 'white');
+    this.newline();
+
+    const choice = await this.question('Select option: ');
+
+    if (!['1', '2', '3', '4'].includes(choice)) {
+      return;
+    }
+
+    const name = (await this.question('Profile name: ')).trim();
+
+    try {
+      switch (choice) {
+        case '1':
+          await this.activateProfile(name);
+          this.success(`Switched to profile "${name}"`);
+          if (!this.config.apiKey) {
+            this.warning('This profile has no API Key yet. Set one in Settings.');
+          }
+          break;
+        case '2':
+          await this.createProfile(name);
+          this.success(`Profile "${name}" created!`);
+          break;
+        case '3': {
+          const confirm = await this.question(`Delete profile "${name}"? (yes/no): `);
+          if (confirm.toLowerCase() !== 'yes') {
+            this.info('Cancelled.');
+            break;
+          }
+          await this.deleteProfile(name);
+          this.success(`Profile "${name}" deleted!`);
+          break;
+        }
+        case '4':
+          await this.setDefaultProfile(name);
+          this.success(`"${name}" is now the default profile`);
+          break;
+      }
+    } catch (error) {
+      this.error(error.message);
+    }
+
+    await this.pause();
+  }
+
+  async presetsMenu() {
+    this.printBanner();
+    this.log('🎭 Emoji Presets', 'yellow');
+    this.newline();
+
+    const presets = Object.entries(this.presets());
+    if (presets.length === 0) {
+      this.info('No presets yet.');
+    }
+    presets.forEach(([name, emojis]) => {
+      this.log(`  ${name} = ${emojis}`, 'white');
+    });
+    this.newline();
+
+    this.log('Options:', 'cyan');
+    this.log('  1. Add / Update Preset', 'white');
+    this.log('  2. Delete Preset', 'white');
+    this.log('  0. Back', 'white');
+    this.newline();
+
+    const choice = await this.question('Select option: ');
+
+    if (!['1', '2'].includes(choice)) {
+      return;
+    }
+
+    const name = (await this.question('Preset name: ')).trim();
+
+    try {
+      if (choice === '1') {
+        const emojis = await this.savePreset(name, await this.question('Emojis: '));
+        this.success(`Preset "${name}" = ${emojis}`);
+      } else {
+        await this.deletePreset(name);
+        this.success(`Preset "${name}" deleted!`);
+      }
+    } catch (error) {
+      this.error(error.message);
+    }
+
+    await this.pause();
+  }
+
+  // Masked API key plus where it comes from
+  apiKeyLabel() {
+    if (!this.config.apiKey) {
+      return this.fileConfig.encryptedApiKey ? 'Encrypted (locked)' : 'Not set';
+    }
+
+    const encrypted = this.configSources.apiKey === 'file' && this.fileConfig.encryptedApiKey;
+    return `***${this.config.apiKey.slice(-4)}${encrypted ? ' (encrypted)' : this.settingSource('apiKey')}`;
+  }
+
+  async statistics() {
+    this.printBanner();
+    this.log('📈 Statistics', 'yellow');
+    this.newline();
+
+    if (this.history.length === 0) {
+      this.warning('No history data available!');
+      await this.pause();
+      return;
+    }
+
+    this.printStatistics();
+
+    await this.pause();
+  }
+
+  computeStatistics() {
+    const timed = this.history.filter(h => h.duration);
+
+    return {
+      total: this.history.length,
+      successful: this.history.filter(h => h.status === 'success').length,
+      failed: this.history.filter(h => h.status === 'failed').length,
+      partial: this.history.filter(h => h.status === 'partial').length,
+      timeout: this.history.filter(h => h.status === 'timeout').length,
+      cancelled: this.history.filter(h => h.status === 'cancelled').length,
+      byType: {
+        single: this.history.filter(h => h.type === 'single').length,
+        batch: this.history.filter(h => h.type === 'batch').length,
+        file: this.history.filter(h => h.type === 'file').length
+      },
+      // Entries from before profiles existed belong to the migrated default profile
+      byProfile: this.history.reduce((counts, h) => {
+        const profile = h.profile || DEFAULT_PROFILE;
+        counts[profile] = (counts[profile] || 0) + 1;
+        return counts;
+      }, {}),
+      averageDuration: timed.length > 0
+        ? Math.round(timed.reduce((sum, h) => sum + h.duration, 0) / timed.length)
+        : 0
+    };
+  }
+
+  printStatistics() {
+    const stats = this.computeStatistics();
+    const { total, successful, failed, partial, timeout, cancelled } = stats;
+    const { single: singleReactions, batch: batchReactions, file: fileReactions } = stats.byType;
+    const avgDuration = stats.averageDuration;
+
+    this.log('═════════════════════════════════════════', 'blue');
+    this.log('  Overall Statistics', 'bright');
+    this.log('═════════════════════════════════════════', 'blue');
+    this.log(`  Total Requests: ${total}`, 'white');
+    this.log(`  ✅ Successful: ${successful}`, 'green');
+    this.log(`  ❌ Failed: ${failed}`, 'red');
+    this.log(`  ⚠️  Partial: ${partial}`, 'yellow');
+    this.log(`  ⌛ Timeout: ${timeout}`, 'yellow');
+    this.log(`  ⛔ Cancelled: ${cancelled}`, 'yellow');
+    this.newline();
+    this.log('  By Type:', 'cyan');
+    this.log(`    Single: ${singleReactions}`, 'white');
+    this.log(`    Batch: ${batchReactions}`, 'white');
+    this.log(`    File: ${fileReactions}`, 'white');
+    this.newline();
+    this.log('  By Profile:', 'cyan');
+    Object.entries(stats.byProfile).forEach(([profile, count]) => {
+      this.log(`    ${profile}: ${count}`, 'white');
+    });
+    this.newline();
+    this.log(`  ⏱️  Average Duration: ${avgDuration}ms`, 'dim');
+    this.log('═════════════════════════════════════════', 'blue');
+
+    return stats;
+  }
+
+  async exportHistory() {
+    this.printBanner();
+    this.log('💾 Export History', 'yellow');
+    this.newline();
+
+    if (this.history.length === 0) {
+      this.warning('No history to export!');
+      await this.pause();
+      return;
+    }
+
+    const filename = await this.question('Export filename [default: history-export.json]: ') || 'history-export.json';
+    
+    await this.writeHistoryExport(filename);
+
+    await this.pause();
+  }
+
+  async writeHistoryExport(filename) {
+    try {
+      await fs.writeFile(filename, JSON.stringify(this.history, null, 2));
+      this.success(`History exported to ${filename}`);
+      return true;
+    } catch (error) {
+      this.error(`Failed to export: ${error.message}`);
+      return false;
+    }
+  }
+
+  async about() {
+    this.printBanner();
+    this.log('ℹ️  About NVCH Reactor CLI', 'yellow');
+    this.newline();
+
+    const pkg = getPackageInfo();
+    
+    this.log('═════════════════════════════════════════', 'blue');
+    this.log(`  Package: ${pkg.name}`, 'white');
+    this.log(`  Version: ${pkg.version}`, 'white');
+    this.newline();
+    this.log('  Description:', 'cyan');
+    this.log('  Interactive CLI tool for automating', 'white');
+    this.log('  WhatsApp Channel reactions', 'white');
+    this.newline();
+    this.log('  Features:', 'cyan');
+    this.log('  • Single & Batch reactions', 'white');
+    this.log('  • File import support', 'white');
+    this.log('  • History tracking', 'white');
+    this.log('  • Statistics & Analytics', 'white');
+    this.log('  • URL validation', 'white');
+    this.newline();
+    this.log('  Follow creator:', 'cyan');
+    this.log('  • GitHub: ShinWolf-Subject', 'white');
+    this.log('  • Facebook: shin.wolford.ken', 'white');
+    this.log('  • Telegram: Nine12fq', 'white');
+    this.log('  • WhatsApp: https://whatsapp.com/channel/0029VbBjzDbIHphQ1YNtTh13', 'white');
+    this.newline();
+    this.log('  © 2025 Nine', 'dim');
+    this.log('═════════════════════════════════════════', 'blue');
+
+    await this.pause();
+  }
+
+  printHelp() {
+    this.log('Usage: nvch [command] [options]', 'bright');
+    this.newline();
+    this.log('Run without a command to open the interactive menu.', 'dim');
+    this.newline();
+    this.log('Commands:', 'cyan');
+    this.log('  send <url> <emojis>                 Send a single reaction', 'white');
+    this.log('  batch <url> <emojis> [...]          Send url/emojis pairs as a batch', 'white');
+    this.log('  batch <url>/<from>-<to> <emojis>    React to every post in a range (max 100)', 'white');
+    this.log('  batch <file>                        Send reactions from a JSON, NDJSON, CSV or text file', 'white');
+    this.log('  batch -                             Send reactions piped in on stdin as they arrive', 'white');
+    this.log('  lint <file|->                       List invalid entries of a reaction file and why', 'white');
+    this.log('  validate <url> [...]                Validate URLs and show their IDs', 'white');
+    this.log('  history [filters] [--limit N]       Show the latest history entries, optionally filtered', 'white');
+    this.log('  history prune                       Drop (or archive) this profile\'s entries past its limits', 'white');
+    this.log('  stats                               Show statistics', 'white');
+    this.log('  export [file]                       Export history to a JSON file', 'white');
+    this.log('  config [show]                       Show current settings', 'white');
+    this.log('  config set <key> <value>            Set apiKey, timeout, delay, maxAttempts, retryDelay, ...', 'white');
+    this.log('  config test                         Verify the API Key with the service', 'white');
+    this.log('  config encrypt | decrypt            Encrypt the stored API Key with a passphrase', 'white');
+    this.log('  retry [position]                    Re-send failed items of a batch in history', 'white');
+    this.log('  resume [job-id]                     List unfinished batch jobs or resume one', 'white');
+    this.log('  profile [list]                      List profiles', 'white');
+    this.log('  profile create|delete <name>        Add or remove a profile', 'white');
+    this.log('  profile default <name>              Use a profile when --profile is not given', 'white');
+    this.newline();
+    this.log('Options:', 'cyan');
+    this.log('  -d, --delay <ms>                    Delay between batch requests', 'white');
+    this.log('  -t, --timeout <ms>                  Request timeout for this run', 'white');
+    this.log('  -p, --profile <name>                Use a profile for this run', 'white');
+    this.log('      --max-attempts <n>              Attempts per reaction, 1 disables retries', 'white');
+    this.log('      --retry-delay <ms>              Base delay for exponential backoff', 'white');
+    this.log('      --offline                       Save an API Key without verifying it', 'white');
+    this.log('      --strict                        Send nothing if any file entry is invalid', 'white');
+    this.log('      --dry-run                       Show the planned requests without sending', 'white');
+    this.log('      --skip-sent                     Leave out posts that already got a reaction', 'white');
+    this.log('      --allow-duplicates              Send duplicates and already reacted posts anyway', 'white');
+    this.log('  -n, --limit <count>                 Number of history entries', 'white');
+    this.log('      --since, --until <date>         History between dates (2026-10-01 or 7d, 12h)', 'white');
+    this.log('      --type, --status <list>         History of these types / statuses, comma separated', 'white');
+    this.log('      --channel <id|url>              History of one channel', 'white');
+    this.log('      --emoji <emoji>, --error <text> History that used an emoji / failed with a message', 'white');
+    this.log('      --history-limit <n>             history prune: entries to keep (the rest is archived)', 'white');
+    this.log('      --history-max-age <days>        history prune: archive entries older than this', 'white');
+    this.log('      --history-archive               history prune: archive instead of deleting', 'white');
+    this.log('      --json                          Print one JSON document to stdout', 'white');
+    this.log('      --ndjson                        Stream batch items as JSON lines', 'white');
+    this.log('  -h, --help                          Show this help', 'white');
+    this.log('  -v, --version                       Show package version', 'white');
+    this.newline();
+    this.log('Exit codes:', 'cyan');
+    this.log('  0 success, 1 failure, 2 partial batch failure, 3 invalid input,', 'white');
+    this.log('  4 missing API key, 5 auth error (401/403), 6 other HTTP error,', 'white');
+    this.log('  7 request timed out, 130 batch cancelled with Ctrl+C', 'white');
+  }
+
+  // Report a usage problem from a subcommand without throwing
+  usageError(message, command = null, exitCode = EXIT_CODES.INVALID_INPUT) {
+    this.error(message);
+    if (exitCode === EXIT_CODES.INVALID_INPUT) {
+      this.info('Run "nvch help" for usage.');
+    }
+    this.emit({ command, ok: false, exitCode, error: message });
+    process.exitCode = exitCode;
+  }
+
+  async runCommand(argv) {
+    let parsed;
+
+    try {
+      parsed = parseCommandLine(argv);
+    } catch (error) {
+      if (argv.includes('--ndjson')) {
+        this.output = 'ndjson';
+      } else if (argv.includes('--json')) {
+        this.output = 'json';
+      }
+      this.usageError(error.message);
+      return;
+    }
+
+    const { command, args, options } = parsed;
+
+    if (options.ndjson) {
+      this.output = 'ndjson';
+    } else if (options.json) {
+      this.output = 'json';
+    }
+
+    if (options.version) {
+      this.log(getPackageInfo().version);
+      this.emit({ command: 'version', ok: true, version: getPackageInfo().version });
+      return;
+    }
+
+    if (options.help || command === 'help' || command === null) {
+      this.printHelp();
+      return;
+    }
+
+    if (!COMMANDS.includes(command)) {
+      this.usageError(`Unknown command: ${command}`, command);
+      return;
+    }
+
+    try {
+      this.flags = settingFlags(options);
+      this.profileFlag = options.profile || null;
+      this.dryRun = Boolean(options['dry-run']);
+      this.duplicates = duplicatePolicy(options);
+    } catch (error) {
+      this.usageError(error.message, command);
+      return;
+    }
+
+    try {
+      await this.loadConfig();
+    } catch (error) {
+      this.usageError(error.message, command);
+      return;
+    }
+    await this.loadHistory();
+
+    if (['send', 'batch'].includes(command) && !this.client && !this.dryRun) {
+      this.usageError('No API Key configured! Set NVCH_API_KEY or run "nvch config set apiKey <key>".', command, EXIT_CODES.MISSING_API_KEY);
+      return;
+    }
+
+    let result;
+
+    try {
+      switch (command) {
+        case 'send':
+          result = await this.sendCommand(args);
+          break;
+        case 'batch':
+          result = await this.batchCommand(args, options);
+          break;
+        case 'lint':
+          result = await this.lintCommand(args);
+          break;
+        case 'validate':
+          result = this.validateCommand(args);
+          break;
+        case 'history':
+          result = await this.historyCommand(args, options);
+          break;
+        case 'stats':
+          result = this.statsCommand();
+          break;
+        case 'export':
+          result = await this.exportCommand(args);
+          break;
+        case 'config':
+          result = await this.configCommand(args, options);
+          break;
+        case 'profile':
+          result = await this.profileCommand(args);
+          break;
+        case 'resume':
+          result = await this.resumeCommand(args);
+          break;
+        case 'retry':
+          result = await this.retryCommand(args);
+          break;
+      }
+    } catch (error) {
+      const exitCode = error instanceof CLIError ? error.exitCode : EXIT_CODES.FAILURE;
+      this.usageError(error.message, command, exitCode);
+      return;
+    }
+
+    if (result.exitCode === undefined) {
+      result.exitCode = result.ok ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+    }
+
+    // Batch items were already streamed, so NDJSON ends with a summary line
+    if (this.output === 'ndjson' && result.results) {
+      const { results, ...summary } = result;
+      this.emit({ event: 'summary', command, ...summary });
+    } else {
+      this.emit({ command, ...result });
+    }
+
+    process.exitCode = result.exitCode;
+  }
+
+  async sendCommand(args) {
+    const [input, emojis] = args;
+
+    if (isPostRange(input)) {
+      throw new CLIError('send takes a single post; use "batch <url>/<from>-<to> <emojis>" for a post range');
+    }
+
+    let url;
+    try {
+      url = this.normalizeUrl(input);
+    } catch (error) {
+      throw new CLIError(`Invalid URL: ${error.message}. Expected ${URL_FORMAT}`);
+    }
+
+    let normalized;
+    try {
+      normalized = normalizeEmojis(emojis, this.presets());
+    } catch (error) {
+      throw new CLIError(error.message);
+    }
+
+    const result = await this.executeSingleReaction(url, normalized);
+    return { ok: this.succeeded(result), exitCode: this.singleExitCode(result), ...result };
+  }
+
+  // A dry run that planned everything counts as success
+  succeeded(result) {
+    return ['success', 'planned', 'skipped'].includes(result.status);
+  }
+
+  singleExitCode(result) {
+    if (this.succeeded(result)) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (result.status === 'timeout') {
+      return EXIT_CODES.TIMEOUT;
+    }
+
+    return exitCodeForStatus(result.statusCode);
+  }
+
+  async batchCommand(args, options) {
+    const { delay } = this.config;
+
+    if (args.length === 0) {
+      throw new CLIError('batch needs a file path or url/emojis pairs');
+    }
+
+    let reactions;
+    let rejected = [];
+    let type = 'batch';
+    let file;
+
+    // "-" streams reactions from stdin as they are piped in; --strict has to
+    // see every entry before sending, so it reads stdin like a file instead
+    if (args.length === 1 && args[0] === '-' && !options.strict) {
+      file = 'stdin';
+      type = 'file';
+
+      let skipped;
+      try {
+        ({ reactions, rejected, skipped } = await this.readReactionStream(process.stdin));
+      } catch (error) {
+        throw new CLIError(`Failed to read stdin: ${error.message}`);
+      }
+
+      if (!reactions) {
+        throw new CLIError('No valid reactions found in stdin!');
+      }
+
+      try {
+        const result = await this.executeBatch(reactions, { type, file, delay });
+        // Filled in while the stream was read
+        return {
+          ok: this.succeeded(result),
+          exitCode: this.batchExitCode(result),
+          ...result,
+          ...(skipped.length > 0 && { skipped: skipped.length }),
+          ...(rejected.length > 0 && { rejected })
+        };
+      } finally {
+        // Stop waiting for more input after Ctrl+C
+        process.stdin.destroy();
+      }
+    }
+
+    // A single non-URL argument is a reaction file
+    if (args.length === 1 && !tryNormalizePostUrl(args[0])) {
+      file = args[0] === '-' ? 'stdin' : args[0];
+      type = 'file';
+
+      try {
+        ({ valid: reactions, rejected } = await this.readReactionFile(args[0]));
+      } catch (error) {
+        throw new CLIError(`Failed to load file: ${error.message}`);
+      }
+
+      this.printRejected(rejected);
+
+      if (options.strict && rejected.length > 0) {
+        throw new CLIError(`${rejected.length} invalid ${rejected.length === 1 ? 'entry' : 'entries'}, nothing was sent (--strict)`);
+      }
+
+      if (reactions.length === 0) {
+        throw new CLIError('No valid reactions found in file!');
+      }
+
+      this.success(`Loaded ${reactions.length} reactions`);
+    } else {
+      reactions = await this.parseReactionPairs(args);
+    }
+
+    const { reactions: toSend, skipped } = await this.resolveDuplicates(reactions);
+
+    if (toSend.length === 0) {
+      this.info('Nothing left to send.');
+      return { ok: true, exitCode: EXIT_CODES.SUCCESS, type, ...(file !== undefined && { file }), total: 0, skipped: skipped.length, status: 'skipped' };
+    }
+
+    const result = await this.executeBatch(toSend, { type, file, delay });
+    return {
+      ok: this.succeeded(result),
+      exitCode: this.batchExitCode(result),
+      ...result,
+      ...(skipped.length > 0 && { skipped: skipped.length }),
+      ...(rejected.length > 0 && { rejected })
+    };
+  }
+
+  async lintCommand(args) {
+    if (args.length !== 1) {
+      throw new CLIError('lint needs a file path (or "-" for stdin)');
+    }
+
+    let report;
+
+    try {
+      report = await this.readReactionFile(args[0]);
+    } catch (error) {
+      throw new CLIError(`Failed to load file: ${error.message}`);
+    }
+
+    const { valid, rejected } = report;
+    const total = valid.length + rejected.length;
+
+    this.printRejected(rejected);
+    if (rejected.length === 0) {
+      this.success(`All ${total} entries are valid`);
+    } else {
+      this.info(`${valid.length} of ${total} entries are valid`);
+    }
+
+    return {
+      ok: rejected.length === 0,
+      exitCode: rejected.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.INVALID_INPUT,
+      file: args[0] === '-' ? 'stdin' : args[0],
+      total,
+      valid: valid.length,
+      rejected
+    };
+  }
+
+  batchExitCode(result) {
+    if (this.succeeded(result)) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (result.status === 'cancelled') {
+      return EXIT_CODES.CANCELLED;
+    }
+
+    if (result.success > 0) {
+      return EXIT_CODES.PARTIAL;
+    }
+
+    return exitCodeForStatus(result.statusCode);
+  }
+
+  async parseReactionPairs(args) {
+    if (args.length % 2 !== 0) {
+      throw new CLIError('batch expects url/emojis pairs');
+    }
+
+    const reactions = [];
+
+    for (let i = 0; i < args.length; i += 2) {
+      const emojis = args[i + 1];
+
+      let urls;
+      try {
+        urls = await this.readPostUrls(args[i]);
+      } catch (error) {
+        throw new CLIError(`Invalid URL ${args[i]}: ${error.message}`);
+      }
+
+      if (!urls) {
+        throw new CLIError('Cancelled.', EXIT_CODES.CANCELLED);
+      }
+
+      let normalized;
+      try {
+        normalized = normalizeEmojis(emojis, this.presets());
+      } catch (error) {
+        throw new CLIError(`${error.message} for ${args[i]}`);
+      }
+
+      urls.forEach(url => reactions.push({ url, emojis: normalized }));
+    }
+
+    return reactions;
+  }
+
+  validateCommand(args) {
+    if (args.length === 0) {
+      throw new CLIError('validate needs at least one URL');
+    }
+
+    const results = args.map((url, index) => {
+      if (index > 0) {
+        this.newline();
+      }
+      this.log(`🔗 ${url}`, 'cyan');
+      return this.printUrlDetails(url);
+    });
+
+    const ok = results.every(r => r.valid);
+    return { ok, exitCode: ok ? EXIT_CODES.SUCCESS : EXIT_CODES.INVALID_INPUT, results };
+  }
+
+  async historyCommand(args, options) {
+    const [action] = args;
+
+    if (action === 'prune') {
+      return this.pruneCommand(options);
+    }
+    if (action !== undefined) {
+      throw new CLIError(`Unknown history action: ${action}`);
+    }
+
+    const limit = parseIntegerOption(options.limit, 'limit', 10);
+
+    let filter;
+    try {
+      filter = createHistoryFilter(options);
+    } catch (error) {
+      throw new CLIError(error.message);
+    }
+
+    const matches = queryHistory(this.history, filter);
+    const entries = matches.slice(0, limit);
+    const filtered = Object.keys(filter.filters).length > 0;
+
+    if (entries.length === 0) {
+      this.warning(filtered ? 'No matching history entries!' : 'No history found!');
+    } else {
+      if (filtered) {
+        this.info(`${matches.length} of ${this.history.length} entries match`);
+      }
+      this.printHistory(entries);
+    }
+
+    return {
+      ok: true,
+      total: this.history.length,
+      ...(filtered && { matched: matches.length, filters: filter.filters }),
+      entries: entries.map(({ entry, position }) => ({ position, ...entry }))
+    };
+  }
+
+  // Prune with the stored retention, or with limits given for this run only.
+  // Limits from flags are not the user's settings, so what they rotate out is
+  // always archived rather than deleted.
+  async pruneCommand(options) {
+    const retention = this.retention();
+    const flags = { limit: 'history-limit', maxAge: 'history-max-age' };
+    const settings = { limit: 'historyLimit', maxAge: 'historyMaxAge' };
+
+    for (const [key, flag] of Object.entries(flags)) {
+      if (options[flag] === undefined) {
+        continue;
+      }
+
+      try {
+        retention[key] = normalizeSetting(settings[key], options[flag]);
+      } catch (error) {
+        throw new CLIError(`--${flag}: ${error.message}`);
+      }
+      retention.archive = true;
+    }
+
+    if (options['history-archive']) {
+      retention.archive = true;
     }
 
-    await this.pause();
-  }
+    this.info(`Keeping ${this.retentionLabel(retention)} (profile ${this.profile})`);
 
-  async loadFromFile() {
-    this.printBanner();
-    this.log('📋 Load Reactions from File', 'yellow');
-    console.log();
-    
-    this.info('File format should be JSON:');
-    console.log();
-    this.log('[', 'dim');
-    this.log('  { "url": "https://...", "emojis": "👍,❤️" },', 'dim');
-    this.log('  { "url": "https://...", "emojis": "🔥" }', 'dim');
-    this.log(']', 'dim');
-    console.log();
+    if (options['dry-run']) {
+      const { rotated } = this.planRotation(retention);
+      this.info(`Dry run: would remove ${rotated.length} of ${this.history.length} entries`);
+      return { ok: true, dryRun: true, retention, pruned: rotated.length, kept: this.history.length - rotated.length, files: [] };
+    }
 
-    const filePath = await this.question('File path: ');
-    
-    try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const reactions = JSON.parse(data);
-      
-      if (!Array.isArray(reactions)) {
-        throw new Error('File must contain an array of reactions');
-      }
-      
-      // Validate reactions
-      const validReactions = reactions.filter(r => {
-        return r.url && r.emojis && validateUrl(r.url);
-      });
-      
-      if (validReactions.length === 0) {
-        this.error('No valid reactions found in file!');
-        await this.pause();
-        return;
-      }
-      
-      this.success(`Loaded ${validReactions.length} reactions`);
-      
-      const delay = parseInt(await this.question('\nDelay between requests (ms) [default: 1000]: ') || '1000');
-      
-      console.log();
-      this.info(`Sending ${validReactions.length} reactions...`);
-      console.log();
+    const result = await this.rotateHistory(retention);
 
-      const startTime = Date.now();
-      let successCount = 0;
-      let failCount = 0;
+    if (result.error) {
+      return { ok: false, exitCode: EXIT_CODES.FAILURE, retention, pruned: 0, kept: this.history.length, files: [], error: result.error };
+    }
 
-      const results = await this.client.sendBatchReactions(validReactions, { delay });
-      
-      results.forEach((result, index) => {
-        if (result.success) {
-          successCount++;
-          this.log(`✅ ${index + 1}. Success`, 'green');
-        } else {
-          failCount++;
-          this.log(`❌ ${index + 1}. Failed: ${result.error}`, 'red');
-        }
-      });
-      
-      const duration = Date.now() - startTime;
-      
-      console.log();
-      this.log('═════════════════════════════════════════', 'blue');
-      this.log(`📊 Results`, 'bright');
-      this.log(`   Total: ${results.length}`, 'white');
-      this.log(`   ✅ Success: ${successCount}`, 'green');
-      this.log(`   ❌ Failed: ${failCount}`, 'red');
-      this.log(`   ⏱️  Duration: ${duration}ms`, 'dim');
-      this.log('═════════════════════════════════════════', 'blue');
-      
-      await this.addToHistory({
-        type: 'file',
-        file: filePath,
-        total: results.length,
-        success: successCount,
-        failed: failCount,
-        duration,
-        status: failCount === 0 ? 'success' : 'partial'
-      });
-      
-    } catch (error) {
-      this.error(`Failed to load file: ${error.message}`);
+    if (result.rotated > 0) {
+      await this.saveHistory();
     }
+    this.printPruneResult(result);
 
-    await this.pause();
+    return { ok: true, retention, pruned: result.rotated, kept: this.history.length, files: result.files };
   }
 
-  async validateUrlMenu() {
-    this.printBanner();
-    this.log('🔗 Validate URL', 'yellow');
-    console.log();
-
-    const url = await this.question('Enter URL to validate: ');
-    
-    console.log();
-    
-    if (validateUrl(url)) {
-      this.success('✓ URL is valid!');
-      
-      // Extract channel and post ID
-      const match = url.match(/channel\/([^\/]+)\/(\d+)/);
-      if (match) {
-        console.log();
-        this.log(`📋 Details:`, 'dim');
-        this.log(`   Channel ID: ${match[1]}`, 'dim');
-        this.log(`   Post ID: ${match[2]}`, 'dim');
-      }
-    } else {
-      this.error('✗ URL is invalid!');
-      console.log();
-      this.info('Valid format: https://whatsapp.com/channel/{CHANNEL_ID}/{POST_ID}');
-      console.log();
-      this.log('Example:', 'dim');
-      this.log('https://whatsapp.com/channel/0029VbAzDjIBFLgbEyadQb3y/178', 'dim');
+  statsCommand() {
+    if (this.history.length === 0) {
+      this.warning('No history data available!');
+      return { ok: true, statistics: this.computeStatistics() };
     }
 
-    await this.pause();
+    return { ok: true, statistics: this.printStatistics() };
   }
 
-  async viewHistory() {
-    this.printBanner();
-    this.log('📊 Reaction History', 'yellow');
-    console.log();
+  async exportCommand(args) {
+    const file = args[0] || 'history-export.json';
 
     if (this.history.length === 0) {
-      this.warning('No history found!');
-      await this.pause();
-      return;
+      this.warning('No history to export!');
+      return { ok: true, file: null, entries: 0 };
     }
 
-    const limit = parseInt(await this.question('Show last entries [default: 10]: ') || '10');
-    
-    console.log();
-    this.log('═════════════════════════════════════════════════════════════', 'blue');
-    
-    this.history.slice(0, limit).forEach((entry, index) => {
-      console.log();
-      this.log(`[${index + 1}] ${new Date(entry.timestamp).toLocaleString()}`, 'cyan');
-      this.log(`    Type: ${entry.type}`, 'white');
-      
-      if (entry.type === 'single') {
-        this.log(`    URL: ${entry.url}`, 'dim');
-        this.log(`    Emojis: ${entry.emojis}`, 'dim');
-      } else {
-        this.log(`    Total: ${entry.total}`, 'dim');
-        if (entry.success !== undefined) {
-          this.log(`    Success: ${entry.success} | Failed: ${entry.failed}`, 'dim');
+    const ok = await this.writeHistoryExport(file);
+    return { ok, file, entries: ok ? this.history.length : 0 };
+  }
+
+  async configCommand(args, options) {
+    const [action = 'show', key, value] = args;
+
+    if (action === 'test') {
+      return this.configTestCommand();
+    }
+
+    if (action === 'show') {
+      const settings = {
+        apiKey: this.config.apiKey ? '***' + this.config.apiKey.slice(-4) : null,
+        encrypted: Boolean(this.fileConfig.encryptedApiKey),
+        timeout: this.config.timeout,
+        delay: this.config.delay,
+        maxAttempts: this.config.maxAttempts,
+        retryDelay: this.config.retryDelay,
+        historyLimit: this.config.historyLimit,
+        historyMaxAge: this.config.historyMaxAge,
+        historyArchive: this.config.historyArchive
+      };
+
+      this.log('Current Settings:', 'cyan');
+      this.log(`  Profile: ${this.profile}`, 'white');
+      this.log(`  API Key: ${this.apiKeyLabel()}`, 'white');
+      this.log(`  Timeout: ${settings.timeout}ms${this.settingSource('timeout')}`, 'white');
+      this.log(`  Delay: ${settings.delay}ms${this.settingSource('delay')}`, 'white');
+      this.log(`  Max attempts: ${settings.maxAttempts}${this.settingSource('maxAttempts')}`, 'white');
+      this.log(`  Retry delay: ${settings.retryDelay}ms${this.settingSource('retryDelay')}`, 'white');
+      this.log(`  History limit: ${settings.historyLimit || 'none'}${this.settingSource('historyLimit')}`, 'white');
+      this.log(`  History max age: ${settings.historyMaxAge ? `${settings.historyMaxAge} days` : 'none'}${this.settingSource('historyMaxAge')}`, 'white');
+      this.log(`  History archive: ${settings.historyArchive ? 'on' : 'off'}${this.settingSource('historyArchive')}`, 'white');
+      this.log(`  Config file: ${CONFIG_FILE}`, 'dim');
+      this.log(`  History file: ${HISTORY_FILE}`, 'dim');
+      this.log(`  Archive directory: ${ARCHIVE_DIR}`, 'dim');
+      return {
+        ok: true,
+        profile: this.profile,
+        settings,
+        sources: this.configSources,
+        files: { config: CONFIG_FILE, history: HISTORY_FILE, archive: ARCHIVE_DIR }
+      };
+    }
+
+    if (action === 'encrypt' || action === 'decrypt') {
+      try {
+        if (action === 'encrypt') {
+          await this.encryptApiKey(await this.askNewPassphrase());
+        } else {
+          await this.decryptApiKey();
         }
+      } catch (error) {
+        throw new CLIError(error.message);
       }
-      
-      this.log(`    Status: ${entry.status}`, entry.status === 'success' ? 'green' : 'red');
-      
-      if (entry.duration) {
-        this.log(`    Duration: ${entry.duration}ms`, 'dim');
-      }
-      
-      if (entry.error) {
-        this.log(`    Error: ${entry.error}`, 'red');
+
+      this.success(action === 'encrypt' ? 'API Key encrypted!' : 'API Key decrypted!');
+      return { ok: true, encrypted: action === 'encrypt' };
+    }
+
+    if (action !== 'set') {
+      throw new CLIError(`Unknown config action: ${action}`);
+    }
+
+    if (value === undefined || value.trim() === '') {
+      throw new CLIError('config set needs a key and a value');
+    }
+
+    if (key === 'apiKey' && !options.offline) {
+      this.info('Verifying API Key...');
+      const verification = await this.verifyApiKey(value.trim());
+
+      if (!verification.valid) {
+        this.printVerificationError(verification);
+        this.info('Not saved. Use --offline to save without verifying.');
+        return {
+          ok: false,
+          exitCode: this.verificationExitCode(verification),
+          key,
+          updated: false,
+          verification
+        };
       }
-    });
-    
-    console.log();
-    this.log('═════════════════════════════════════════════════════════════', 'blue');
 
-    await this.pause();
+      this.success('API Key verified!');
+    }
+
+    try {
+      await this.updateSetting(key, value);
+    } catch (error) {
+      throw new CLIError(error.message);
+    }
+
+    this.success(`${key} updated!`);
+    return { ok: true, key, updated: true };
   }
 
-  async clearHistory() {
-    this.printBanner();
-    this.log('🗑️  Clear History', 'yellow');
-    console.log();
+  async configTestCommand() {
+    if (!this.config.apiKey) {
+      throw new CLIError('No API Key configured!', EXIT_CODES.MISSING_API_KEY);
+    }
 
-    const confirm = await this.question('Are you sure? This cannot be undone! (yes/no): ');
-    
-    if (confirm.toLowerCase() === 'yes') {
-      this.history = [];
-      await this.saveHistory();
-      this.success('History cleared!');
+    this.info(`Verifying API Key ***${this.config.apiKey.slice(-4)}...`);
+    const verification = await this.verifyApiKey(this.config.apiKey);
+
+    if (verification.valid) {
+      this.success(`API Key is valid (${verification.duration}ms)`);
     } else {
-      this.info('Cancelled.');
+      this.printVerificationError(verification);
     }
 
-    await this.pause();
+    return {
+      ok: verification.valid,
+      exitCode: this.verificationExitCode(verification),
+      profile: this.profile,
+      verification
+    };
   }
 
-  async settings() {
-    this.printBanner();
-    this.log('⚙️  Settings', 'yellow');
-    console.log();
+  async resumeCommand(args) {
+    const [id] = args;
 
-    this.log('Current Settings:', 'cyan');
-    this.log(`  API Key: ${this.config.apiKey ? '***' + this.config.apiKey.slice(-4) : 'Not set'}`, 'white');
-    this.log(`  Timeout: ${this.config.timeout}ms`, 'white');
-    this.log(`  Delay: ${this.config.delay}ms`, 'white');
-    console.log();
-    
-    this.log('Options:', 'cyan');
-    this.log('  1. Change API Key', 'white');
-    this.log('  2. Change Timeout', 'white');
-    this.log('  3. Change Default Delay', 'white');
-    this.log('  0. Back', 'white');
-    console.log();
+    if (!id) {
+      const jobs = await JobJournal.list(JOBS_DIR);
+      if (jobs.length === 0) {
+        this.warning('No unfinished jobs found!');
+      } else {
+        this.printJobs(jobs);
+      }
+      return {
+        ok: true,
+        jobs: jobs.map(journal => {
+          const { items, ...job } = journal.data;
+          return { ...job, counts: journal.counts() };
+        })
+      };
+    }
 
-    const choice = await this.question('Select option: ');
+    if (!this.client && !this.dryRun) {
+      throw new CLIError('No API Key configured! Set NVCH_API_KEY or run "nvch config set apiKey <key>".', EXIT_CODES.MISSING_API_KEY);
+    }
 
-    switch (choice) {
-      case '1':
-        await this.setupApiKey();
-        break;
-      case '2':
-        const timeout = parseInt(await this.question('New timeout (ms): '));
-        if (!isNaN(timeout) && timeout > 0) {
-          this.config.timeout = timeout;
-          await this.saveConfig();
-          this.success('Timeout updated!');
-        } else {
-          this.error('Invalid timeout!');
-        }
-        await this.pause();
-        break;
-      case '3':
-        const delay = parseInt(await this.question('New default delay (ms): '));
-        if (!isNaN(delay) && delay >= 0) {
-          this.config.delay = delay;
-          await this.saveConfig();
-          this.success('Default delay updated!');
-        } else {
-          this.error('Invalid delay!');
-        }
-        await this.pause();
-        break;
+    let journal;
+
+    try {
+      journal = await JobJournal.load(JOBS_DIR, id);
+    } catch (error) {
+      throw new CLIError(error.message);
     }
-  }
 
-  async statistics() {
-    this.printBanner();
-    this.log('📈 Statistics', 'yellow');
-    console.log();
+    // An explicit --delay wins over the delay the job was started with
+    const delay = this.configSources.delay === 'flag' ? this.config.delay : (journal.data.delay ?? this.config.delay);
+    const result = await this.resumeJob(journal, delay);
 
-    if (this.history.length === 0) {
-      this.warning('No history data available!');
-      await this.pause();
-      return;
+    return { ok: this.succeeded(result), exitCode: this.batchExitCode(result), ...result };
+  }
+
+  async retryCommand(args) {
+    if (!this.client && !this.dryRun) {
+      throw new CLIError('No API Key configured! Set NVCH_API_KEY or run "nvch config set apiKey <key>".', EXIT_CODES.MISSING_API_KEY);
     }
 
-    const total = this.history.length;
-    const successful = this.history.filter(h => h.status === 'success').length;
-    const failed = this.history.filter(h => h.status === 'failed').length;
-    const partial = this.history.filter(h => h.status === 'partial').length;
-    
-    const singleReactions = this.history.filter(h => h.type === 'single').length;
-    const batchReactions = this.history.filter(h => h.type === 'batch').length;
-    const fileReactions = this.history.filter(h => h.type === 'file').length;
-    
-    const avgDuration = Math.round(
-      this.history.filter(h => h.duration).reduce((sum, h) => sum + h.duration, 0) / 
-      this.history.filter(h => h.duration).length
-    );
+    let entry;
 
-    this.log('═════════════════════════════════════════', 'blue');
-    this.log('  Overall Statistics', 'bright');
-    this.log('═════════════════════════════════════════', 'blue');
-    this.log(`  Total Requests: ${total}`, 'white');
-    this.log(`  ✅ Successful: ${successful}`, 'green');
-    this.log(`  ❌ Failed: ${failed}`, 'red');
-    this.log(`  ⚠️  Partial: ${partial}`, 'yellow');
-    console.log();
-    this.log('  By Type:', 'cyan');
-    this.log(`    Single: ${singleReactions}`, 'white');
-    this.log(`    Batch: ${batchReactions}`, 'white');
-    this.log(`    File: ${fileReactions}`, 'white');
-    console.log();
-    this.log(`  ⏱️  Average Duration: ${avgDuration}ms`, 'dim');
-    this.log('═════════════════════════════════════════', 'blue');
+    if (args[0] === undefined) {
+      const [latest] = this.retryableEntries();
+      if (!latest) {
+        throw new CLIError('No batch or file runs with failed items found!');
+      }
+      entry = latest.entry;
+    } else {
+      const position = parseIntegerOption(args[0], 'position');
+      entry = this.history[position - 1];
 
-    await this.pause();
+      if (!entry) {
+        throw new CLIError(`No history entry at position ${args[0]}`);
+      }
+      if (!Array.isArray(entry.results)) {
+        throw new CLIError('This history entry has no per-item results to retry');
+      }
+      if (this.failedReactions(entry).length === 0) {
+        throw new CLIError('This history entry has no failed items');
+      }
+    }
+
+    const result = await this.retryFailures(entry, this.config.delay);
+    return { ok: this.succeeded(result), exitCode: this.batchExitCode(result), ...result };
   }
 
-  async exportHistory() {
-    this.printBanner();
-    this.log('💾 Export History', 'yellow');
-    console.log();
+  async profileCommand(args) {
+    const [action = 'list', name] = args;
 
-    if (this.history.length === 0) {
-      this.warning('No history to export!');
-      await this.pause();
-      return;
+    if (action === 'list') {
+      this.printProfiles();
+      return { ok: true, profiles: this.listProfiles() };
+    }
+
+    if (!name) {
+      throw new CLIError(`profile ${action} needs a profile name`);
     }
 
-    const filename = await this.question('Export filename [default: history-export.json]: ') || 'history-export.json';
-    
     try {
-      await fs.writeFile(filename, JSON.stringify(this.history, null, 2));
-      this.success(`History exported to ${filename}`);
+      switch (action) {
+        case 'create':
+          await this.createProfile(name);
+          this.success(`Profile "${name}" created!`);
+          break;
+        case 'delete':
+          await this.deleteProfile(name);
+          this.success(`Profile "${name}" deleted!`);
+          break;
+        case 'default':
+          await this.setDefaultProfile(name);
+          this.success(`"${name}" is now the default profile`);
+          break;
+        default:
+          throw new Error(`Unknown profile action: ${action}`);
+      }
     } catch (error) {
-      this.error(`Failed to export: ${error.message}`);
+      throw new CLIError(error.message);
     }
 
-    await this.pause();
+    return { ok: true, action, profile: name };
   }
 
-  async about() {
-    this.printBanner();
-    this.log('ℹ️  About NVCH Reactor CLI', 'yellow');
-    console.log();
-
-    const pkg = getPackageInfo();
-    
-    this.log('═════════════════════════════════════════', 'blue');
-    this.log(`  Package: ${pkg.name}`, 'white');
-    this.log(`  Version: ${pkg.version}`, 'white');
-    console.log();
-    this.log('  Description:', 'cyan');
-    this.log('  Interactive CLI tool for automating', 'white');
-    this.log('  WhatsApp Channel reactions', 'white');
-    console.log();
-    this.log('  Features:', 'cyan');
-    this.log('  • Single & Batch reactions', 'white');
-    this.log('  • File import support', 'white');
-    this.log('  • History tracking', 'white');
-    this.log('  • Statistics & Analytics', 'white');
-    this.log('  • URL validation', 'white');
-    console.log();
-    this.log('  Follow creator:', 'cyan');
-    this.log('  • GitHub: ShinWolf-Subject', 'white');
-    this.log('  • Facebook: shin.wolford.ken', 'white');
-    this.log('  • Telegram: Nine12fq', 'white');
-    this.log('  • WhatsApp: https://whatsapp.com/channel/0029VbBjzDbIHphQ1YNtTh13', 'white');
-    console.log();
-    this.log('  © 2025 Nine', 'dim');
-    this.log('═════════════════════════════════════════', 'blue');
-
-    await this.pause();
-  }
+  async run(argv = []) {
+    if (argv.length > 0) {
+      await this.runCommand(argv);
+      closeReadline();
+      return;
+    }
 
-  async run() {
-    await this.loadConfig();
+    try {
+      await this.loadConfig();
+    } catch (error) {
+      this.error(`${error.message}, using "${this.store.defaultProfile}"`);
+      await this.pause();
+      await this.activateProfile(this.store.defaultProfile);
+    }
     await this.loadHistory();
 
     if (!this.config.apiKey) {
       await this.setupApiKey();
       if (!this.config.apiKey) {
         this.error('Cannot continue without API Key!');
-        rl.close();
+        closeReadline();
         return;
       }
     }
@@ -700,7 +3045,10 @@ class NVCHCLI {
       this.printBanner();
       
       if (this.config.apiKey) {
-        this.log(`🔑 API Key: ***${this.config.apiKey.slice(-4)}`, 'dim');
+        this.log(`🔑 API Key: ***${this.config.apiKey.slice(-4)}  👤 Profile: ${this.profile}`, 'dim');
+      }
+      if (this.dryRun) {
+        this.log('🧪 DRY RUN: nothing will be sent', 'yellow');
       }
       
       this.printMenu();
@@ -738,12 +3086,21 @@ class NVCHCLI {
         case '10':
           await this.about();
           break;
+        case '11':
+          await this.resumeJobMenu();
+          break;
+        case '12':
+          await this.retryFailuresMenu();
+          break;
+        case '13':
+          await this.postRangeMenu();
+          break;
         case '0':
           this.clearScreen();
           this.log('👋 Thank you for using NVCH Reactor CLI!', 'cyan');
           this.log('See you next time! 🚀', 'bright');
-          console.log();
-          rl.close();
+          this.newline();
+          closeReadline();
           return;
         default:
           this.error('Invalid option!');
@@ -755,8 +3112,8 @@ class NVCHCLI {
 
 // Start the CLI
 const cli = new NVCHCLI();
-cli.run().catch(error => {
+cli.run(process.argv.slice(2)).catch(error => {
   console.error('Fatal error:', error);
-  rl.close();
+  closeReadline();
   process.exit(1);
 });
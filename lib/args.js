@@ -0,0 +1,114 @@
+const { parseArgs } = require('util');
+const { CLIError } = require('./exit-codes');
+const { normalizeSetting } = require('./config');
+
+// Flags accepted by the non-interactive subcommands
+const OPTIONS = {
+  delay: { type: 'string', short: 'd' },
+  timeout: { type: 'string', short: 't' },
+  profile: { type: 'string', short: 'p' },
+  'max-attempts': { type: 'string' },
+  'retry-delay': { type: 'string' },
+  // Only read by "history prune"; other runs always use the stored retention
+  'history-limit': { type: 'string' },
+  'history-max-age': { type: 'string' },
+  'history-archive': { type: 'boolean' },
+  limit: { type: 'string', short: 'n' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  type: { type: 'string' },
+  status: { type: 'string' },
+  channel: { type: 'string' },
+  emoji: { type: 'string' },
+  error: { type: 'string' },
+  json: { type: 'boolean' },
+  ndjson: { type: 'boolean' },
+  offline: { type: 'boolean' },
+  strict: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'skip-sent': { type: 'boolean' },
+  'allow-duplicates': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+// Flags that override a stored setting for a single run, by setting key
+const SETTING_FLAGS = {
+  delay: 'delay',
+  timeout: 'timeout',
+  maxAttempts: 'max-attempts',
+  retryDelay: 'retry-delay',
+};
+
+const COMMANDS = ['send', 'batch', 'validate', 'lint', 'history', 'stats', 'export', 'config', 'profile', 'resume', 'retry', 'help'];
+
+// Split argv into { command, args, options }; throws on unknown flags
+function parseCommandLine(argv) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new CLIError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  const [command = null, ...args] = positionals;
+
+  return { command, args, options: { ...values } };
+}
+
+// Parse a non-negative integer flag value, falling back when absent
+function parseIntegerOption(value, name, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 0) {
+    throw new CLIError(`--${name} must be a non-negative integer`);
+  }
+
+  return number;
+}
+
+// Pick and validate the setting overrides passed on the command line
+function settingFlags(options) {
+  const flags = {};
+
+  for (const [key, flag] of Object.entries(SETTING_FLAGS)) {
+    if (options[flag] === undefined) {
+      continue;
+    }
+
+    try {
+      flags[key] = normalizeSetting(key, options[flag]);
+    } catch (error) {
+      throw new CLIError(`--${flag}: ${error.message}`);
+    }
+  }
+
+  return flags;
+}
+
+// 'skip' or 'allow' from --skip-sent / --allow-duplicates, null to ask
+function duplicatePolicy(options) {
+  if (options['skip-sent'] && options['allow-duplicates']) {
+    throw new CLIError('--skip-sent and --allow-duplicates cannot be used together');
+  }
+
+  if (options['skip-sent']) {
+    return 'skip';
+  }
+
+  return options['allow-duplicates'] ? 'allow' : null;
+}
+
+module.exports = { COMMANDS, parseCommandLine, parseIntegerOption, settingFlags, duplicatePolicy };
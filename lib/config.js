@@ -0,0 +1,119 @@
+// Built-in defaults, the lowest-priority settings source
+const DEFAULTS = {
+  apiKey: null,
+  timeout: 20000,
+  delay: 1000,
+  maxAttempts: 3,
+  retryDelay: 1000,
+  // History retention: entries kept (0 = no limit), max age in days (0 = no
+  // limit), and whether rotated-out entries go to archive files
+  historyLimit: 100,
+  historyMaxAge: 0,
+  historyArchive: false,
+};
+
+// Environment variables consulted for each setting
+const ENV_VARS = {
+  apiKey: 'NVCH_API_KEY',
+  timeout: 'NVCH_TIMEOUT',
+  delay: 'NVCH_DELAY',
+  maxAttempts: 'NVCH_MAX_ATTEMPTS',
+  retryDelay: 'NVCH_RETRY_DELAY',
+  historyLimit: 'NVCH_HISTORY_LIMIT',
+  historyMaxAge: 'NVCH_HISTORY_MAX_AGE',
+  historyArchive: 'NVCH_HISTORY_ARCHIVE',
+};
+
+// Lower bounds for numeric settings
+const NUMERIC_SETTINGS = {
+  timeout: 1,
+  delay: 0,
+  maxAttempts: 1,
+  retryDelay: 0,
+  historyLimit: 0,
+  historyMaxAge: 0,
+};
+
+const BOOLEAN_SETTINGS = ['historyArchive'];
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+// Coerce a raw setting value, throwing when it is out of range
+function normalizeSetting(key, value) {
+  if (!(key in DEFAULTS)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  // Checked before the numeric conversion, where Number('') would be 0
+  if (String(value ?? '').trim() === '') {
+    throw new Error(`${key} cannot be empty`);
+  }
+
+  if (key in NUMERIC_SETTINGS) {
+    const number = Number(value);
+    const min = NUMERIC_SETTINGS[key];
+
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`${key} must be an integer >= ${min}`);
+    }
+
+    return number;
+  }
+
+  if (BOOLEAN_SETTINGS.includes(key)) {
+    const text = String(value).trim().toLowerCase();
+
+    if (TRUE_VALUES.includes(text)) {
+      return true;
+    }
+    if (FALSE_VALUES.includes(text)) {
+      return false;
+    }
+
+    throw new Error(`${key} must be true or false`);
+  }
+
+  return String(value).trim();
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// Merge settings by priority: CLI flags, environment, config file, defaults.
+// Returns the effective values, where each came from, and any ignored inputs.
+function resolveConfig({ flags = {}, env = process.env, file = {} } = {}) {
+  const values = {};
+  const sources = {};
+  const warnings = [];
+
+  for (const key of Object.keys(DEFAULTS)) {
+    const candidates = [
+      ['flag', flags[key]],
+      ['env', ENV_VARS[key] ? env[ENV_VARS[key]] : undefined],
+      ['file', file[key]],
+    ];
+
+    values[key] = DEFAULTS[key];
+    sources[key] = 'default';
+
+    for (const [source, raw] of candidates) {
+      if (!isSet(raw)) {
+        continue;
+      }
+
+      try {
+        values[key] = normalizeSetting(key, raw);
+        sources[key] = source;
+        break;
+      } catch (error) {
+        const origin = source === 'env' ? ENV_VARS[key] : `${source} value`;
+        warnings.push(`Ignoring ${origin}: ${error.message}`);
+      }
+    }
+  }
+
+  return { values, sources, warnings };
+}
+
+module.exports = { DEFAULTS, ENV_VARS, normalizeSetting, resolveConfig };
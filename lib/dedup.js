@@ -0,0 +1,78 @@
+const { tryNormalizePostUrl } = require('./url');
+
+// Identifies a post regardless of how its URL was written
+function postKey(url) {
+  return tryNormalizePostUrl(url) || String(url).trim();
+}
+
+function reactionKey({ url, emojis }) {
+  return `${postKey(url)} ${emojis}`;
+}
+
+// Keep the first of every identical url + emojis pair
+function collapseDuplicates(reactions) {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+
+  for (const reaction of reactions) {
+    const key = reactionKey(reaction);
+
+    if (seen.has(key)) {
+      duplicates.push(reaction);
+    } else {
+      seen.add(key);
+      unique.push(reaction);
+    }
+  }
+
+  return { unique, duplicates };
+}
+
+// Latest successful send per post in history: postKey -> { emojis, timestamp }
+function sentPosts(history) {
+  const sent = new Map();
+
+  // History is newest first, so the first hit for a post is the latest
+  const remember = (url, emojis, timestamp) => {
+    const key = postKey(url);
+    if (!sent.has(key)) {
+      sent.set(key, { emojis, timestamp });
+    }
+  };
+
+  for (const entry of history) {
+    if (entry.type === 'single') {
+      if (entry.status === 'success') {
+        remember(entry.url, entry.emojis, entry.timestamp);
+      }
+    } else {
+      (entry.results || [])
+        .filter(item => item.status === 'sent')
+        .forEach(item => remember(item.url, item.emojis, entry.timestamp));
+    }
+  }
+
+  return sent;
+}
+
+// Split reactions into ones never sent to their post and ones that were, with the previous send
+function checkAgainstHistory(reactions, history) {
+  const sent = sentPosts(history);
+  const fresh = [];
+  const previouslySent = [];
+
+  for (const reaction of reactions) {
+    const previous = sent.get(postKey(reaction.url));
+
+    if (previous) {
+      previouslySent.push({ reaction, previous });
+    } else {
+      fresh.push(reaction);
+    }
+  }
+
+  return { fresh, previouslySent };
+}
+
+module.exports = { postKey, collapseDuplicates, sentPosts, checkAgainstHistory };
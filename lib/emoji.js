@@ -0,0 +1,173 @@
+// Common shortcodes, as used by Slack/GitHub/Discord
+const SHORTCODES = {
+  '+1': '👍',
+  '-1': '👎',
+  '100': '💯',
+  thumbsup: '👍',
+  thumbsdown: '👎',
+  fire: '🔥',
+  heart: '❤️',
+  heart_eyes: '😍',
+  joy: '😂',
+  rofl: '🤣',
+  smile: '😄',
+  smiley: '😃',
+  grin: '😁',
+  laughing: '😆',
+  wink: '😉',
+  blush: '😊',
+  innocent: '😇',
+  sunglasses: '😎',
+  thinking: '🤔',
+  neutral_face: '😐',
+  unamused: '😒',
+  cry: '😢',
+  sob: '😭',
+  angry: '😠',
+  rage: '😡',
+  scream: '😱',
+  open_mouth: '😮',
+  astonished: '😲',
+  pray: '🙏',
+  clap: '👏',
+  wave: '👋',
+  ok_hand: '👌',
+  muscle: '💪',
+  raised_hands: '🙌',
+  point_up: '☝️',
+  eyes: '👀',
+  rocket: '🚀',
+  star: '⭐',
+  star2: '🌟',
+  sparkles: '✨',
+  tada: '🎉',
+  confetti_ball: '🎊',
+  party_popper: '🎉',
+  trophy: '🏆',
+  crown: '👑',
+  gem: '💎',
+  moneybag: '💰',
+  zap: '⚡',
+  boom: '💥',
+  skull: '💀',
+  ghost: '👻',
+  poop: '💩',
+  hankey: '💩',
+  white_check_mark: '✅',
+  heavy_check_mark: '✔️',
+  x: '❌',
+  warning: '⚠️',
+  question: '❓',
+  exclamation: '❗',
+  broken_heart: '💔',
+  sparkling_heart: '💖',
+  two_hearts: '💕',
+  blue_heart: '💙',
+  green_heart: '💚',
+  yellow_heart: '💛',
+  purple_heart: '💜',
+  black_heart: '🖤',
+  orange_heart: '🧡',
+  white_heart: '🤍',
+  kiss: '💋',
+  rose: '🌹',
+  sunflower: '🌻',
+  sun: '☀️',
+  rainbow: '🌈',
+  coffee: '☕',
+  pizza: '🍕',
+  beer: '🍺',
+  cake: '🍰',
+  gift: '🎁',
+  musical_note: '🎵',
+  notes: '🎶',
+  camera: '📷',
+  bulb: '💡',
+  pushpin: '📌',
+  lock: '🔒',
+  key: '🔑',
+  bell: '🔔',
+  mega: '📣',
+  goat: '🐐',
+  cat: '🐱',
+  dog: '🐶',
+  moai: '🗿',
+  salute: '🫡',
+  melting_face: '🫠',
+  handshake: '🤝',
+  flag_id: '🇮🇩'
+};
+
+const SHORTCODE = /:([a-z0-9_+-]+):/gi;
+const VARIATION_SELECTOR = '\ufe0f';
+
+// A complete emoji sequence: ZWJ sequences, skin tones, flags, keycaps
+const RGI_EMOJI = /^\p{RGI_Emoji}$/v;
+// Pictographs typed without their variation selector, e.g. a bare ❤
+const BARE_PICTOGRAPH = /^\p{Extended_Pictographic}$/u;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Canonical form of one grapheme, or null if it is not an emoji
+function normalizeGrapheme(grapheme) {
+  if (RGI_EMOJI.test(grapheme)) {
+    return grapheme;
+  }
+
+  if (BARE_PICTOGRAPH.test(grapheme) && RGI_EMOJI.test(grapheme + VARIATION_SELECTOR)) {
+    return grapheme + VARIATION_SELECTOR;
+  }
+
+  return null;
+}
+
+// Split user input into emojis. Commas and whitespace separate items but are
+// optional between emojis; shortcodes and preset names ({ name: "🔥,🚀" }) are
+// resolved. Anything that is not an emoji ends up in `invalid`.
+function parseEmojis(input, presets = {}) {
+  const emojis = [];
+  const invalid = [];
+
+  const tokens = String(input ?? '')
+    .replace(SHORTCODE, (match, name) => SHORTCODES[name.toLowerCase()] ? ` ${SHORTCODES[name.toLowerCase()]} ` : ` ${match} `)
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    if (Object.hasOwn(presets, token)) {
+      emojis.push(...parseEmojis(presets[token]).emojis);
+      continue;
+    }
+
+    const graphemes = [...segmenter.segment(token)].map(({ segment }) => normalizeGrapheme(segment));
+
+    if (graphemes.includes(null)) {
+      invalid.push(token);
+    } else {
+      emojis.push(...graphemes);
+    }
+  }
+
+  return { emojis, invalid };
+}
+
+// The string sent to the API, e.g. "🔥,👍"
+function formatEmojis(emojis) {
+  return emojis.join(',');
+}
+
+// Parse and format in one go; throws with the offending items if any are not emojis
+function normalizeEmojis(input, presets = {}) {
+  const { emojis, invalid } = parseEmojis(input, presets);
+
+  if (invalid.length > 0) {
+    throw new Error(`Not an emoji: ${invalid.map(item => `"${item}"`).join(', ')}`);
+  }
+  if (emojis.length === 0) {
+    throw new Error('No emojis given');
+  }
+
+  return formatEmojis(emojis);
+}
+
+module.exports = { SHORTCODES, parseEmojis, formatEmojis, normalizeEmojis };
@@ -0,0 +1,36 @@
+// Process exit codes for non-interactive runs
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  INVALID_INPUT: 3,
+  MISSING_API_KEY: 4,
+  AUTH_ERROR: 5,
+  HTTP_ERROR: 6,
+  TIMEOUT: 7,
+  CANCELLED: 130,
+};
+
+// Error raised by subcommands that already knows how the process should end
+class CLIError extends Error {
+  constructor(message, exitCode = EXIT_CODES.INVALID_INPUT) {
+    super(message);
+    this.name = 'CLIError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Map an HTTP status from the reactor client to an exit code
+function exitCodeForStatus(status) {
+  if (status === 401 || status === 403) {
+    return EXIT_CODES.AUTH_ERROR;
+  }
+
+  if (status) {
+    return EXIT_CODES.HTTP_ERROR;
+  }
+
+  return EXIT_CODES.FAILURE;
+}
+
+module.exports = { EXIT_CODES, CLIError, exitCodeForStatus };
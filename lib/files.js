@@ -0,0 +1,10 @@
+const fs = require('fs').promises;
+
+// Write to a temp file first so a crash never leaves a truncated file behind
+async function writeFileAtomic(file, data) {
+  const temp = `${file}.tmp`;
+  await fs.writeFile(temp, data);
+  await fs.rename(temp, file);
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,201 @@
+const path = require('path');
+const readline = require('readline');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'text'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.tsv': 'text',
+  '.txt': 'text'
+};
+
+// Accepted CSV header names for each field, compared case-insensitively
+const CSV_HEADERS = {
+  url: ['url', 'link', 'post', 'post_url', 'post url'],
+  emojis: ['emojis', 'emoji', 'reactions', 'reaction']
+};
+
+// Format from the file extension, falling back to sniffing the content
+function detectFormat(filePath, content) {
+  const byExtension = EXTENSIONS[path.extname(filePath || '').toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const text = content.trimStart();
+
+  if (text.startsWith('[')) {
+    return 'json';
+  }
+  if (text.startsWith('{')) {
+    return 'ndjson';
+  }
+
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return isCsvHeader(firstLine) ? 'csv' : 'text';
+}
+
+function isCsvHeader(line) {
+  try {
+    csvColumns(splitCsvLine(line));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Split one CSV line, honouring double-quoted fields and "" escapes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+// Column positions of url and emojis in a CSV header row
+function csvColumns(header) {
+  const names = header.map(name => name.toLowerCase());
+  const columns = {};
+
+  for (const [key, aliases] of Object.entries(CSV_HEADERS)) {
+    columns[key] = names.findIndex(name => aliases.includes(name));
+
+    if (columns[key] === -1) {
+      throw new Error(`CSV header needs a "${key}" column (one of: ${aliases.join(', ')})`);
+    }
+  }
+
+  return columns;
+}
+
+// Parser for line based formats: call it with each line and its 1-based
+// number, get back an entry or null for blank lines, comments and headers
+function createLineParser(format) {
+  let columns = null;
+
+  return (raw, line) => {
+    const text = raw.trim();
+
+    if (text === '' || text.startsWith('#')) {
+      return null;
+    }
+
+    if (format === 'ndjson') {
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch (error) {
+        return { line, parseError: `invalid JSON (${error.message})` };
+      }
+      return entry && typeof entry === 'object' && !Array.isArray(entry)
+        ? { ...entry, line }
+        : { line, parseError: 'not an object' };
+    }
+
+    if (format === 'csv') {
+      const fields = splitCsvLine(text);
+
+      if (!columns) {
+        columns = csvColumns(fields);
+        return null;
+      }
+
+      return { url: fields[columns.url], emojis: fields[columns.emojis], line };
+    }
+
+    // "url<TAB>emojis" or "url emojis"
+    const [url, ...rest] = text.split(/\s+/);
+    return { url, emojis: rest.join(' '), line };
+  };
+}
+
+function parseReactions(content, format) {
+  if (format === 'json') {
+    const reactions = JSON.parse(content);
+
+    if (!Array.isArray(reactions)) {
+      throw new Error('File must contain an array of reactions');
+    }
+
+    return reactions.map((entry, index) => (entry && typeof entry === 'object' && !Array.isArray(entry)
+      ? { ...entry, index: index + 1 }
+      : { index: index + 1, parseError: 'not an object' }));
+  }
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  const parseLine = createLineParser(format);
+
+  return content
+    .split(/\r?\n/)
+    .map((text, index) => parseLine(text, index + 1))
+    .filter(Boolean);
+}
+
+// Yield entries from a readable stream as its lines arrive. The format is sniffed
+// from the first non-blank line; JSON arrays are buffered until the stream ends
+// because they cannot be parsed piecemeal.
+async function* streamReactions(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let format = null;
+  let parseLine = null;
+  let buffer = '';
+  let line = 0;
+
+  for await (const text of lines) {
+    line++;
+
+    if (!format) {
+      if (text.trim() === '') {
+        continue;
+      }
+      format = detectFormat(null, text);
+      parseLine = format === 'json' ? null : createLineParser(format);
+    }
+
+    if (format === 'json') {
+      buffer += `${text}\n`;
+      continue;
+    }
+
+    const entry = parseLine(text, line);
+    if (entry) {
+      yield entry;
+    }
+  }
+
+  if (format === 'json') {
+    yield* parseReactions(buffer, 'json');
+  }
+}
+
+module.exports = { FORMATS, detectFormat, splitCsvLine, createLineParser, parseReactions, streamReactions };
@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseEmojis } = require('./emoji');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { writeFileAtomic } = require('./files');
+const { parseChannelId, parsePostUrl } = require('./url');
+
+const TYPES = ['single', 'batch', 'file'];
+const STATUSES = ['success', 'failed', 'partial', 'timeout', 'cancelled'];
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds since the epoch from "7d" / "12h" / "30m" / "2w" ago or a date.
+// A bare date as an upper bound means the end of that day.
+function parseTime(value, { endOfDay = false, now = Date.now() } = {}) {
+  const text = String(value).trim();
+  const relative = text.match(/^(\d+)([mhdw])$/i);
+
+  if (relative) {
+    return now - Number(relative[1]) * UNITS[relative[2].toLowerCase()];
+  }
+
+  const time = Date.parse(DATE_ONLY.test(text) ? `${text}T00:00:00` : text);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${text} (use e.g. 2026-10-01, "2026-10-01 14:00" or 7d)`);
+  }
+
+  return endOfDay && DATE_ONLY.test(text) ? time + UNITS.d - 1 : time;
+}
+
+// Comma separated values, each checked against the allowed ones
+function parseChoices(value, allowed, name) {
+  const choices = String(value).split(',').map(choice => choice.trim().toLowerCase()).filter(Boolean);
+  const unknown = choices.find(choice => !allowed.includes(choice));
+
+  if (unknown) {
+    throw new Error(`Unknown ${name}: ${unknown} (expected ${allowed.join(', ')})`);
+  }
+
+  return choices;
+}
+
+// The posts an entry covers, as { url, emojis, error }
+function entryItems(entry) {
+  return entry.type === 'single' ? [entry] : (entry.results || []);
+}
+
+function channelOf(url) {
+  try {
+    return parsePostUrl(url).channelId;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Turn raw filter values (all optional strings) into a predicate over history
+// entries. Throws on values that could never match. `filters` holds the
+// normalized values, for display and JSON output.
+function createHistoryFilter({ since, until, type, status, channel, emoji, error } = {}) {
+  const filters = {};
+  const tests = [];
+
+  if (since) {
+    const from = parseTime(since);
+    filters.since = new Date(from).toISOString();
+    tests.push(entry => Date.parse(entry.timestamp) >= from);
+  }
+
+  if (until) {
+    const to = parseTime(until, { endOfDay: true });
+    filters.until = new Date(to).toISOString();
+    tests.push(entry => Date.parse(entry.timestamp) <= to);
+  }
+
+  if (type) {
+    filters.type = parseChoices(type, TYPES, 'type');
+    tests.push(entry => filters.type.includes(entry.type));
+  }
+
+  if (status) {
+    filters.status = parseChoices(status, STATUSES, 'status');
+    tests.push(entry => filters.status.includes(entry.status));
+  }
+
+  if (channel) {
+    filters.channel = parseChannelId(channel);
+    tests.push(entry => entryItems(entry).some(item => channelOf(item.url) === filters.channel));
+  }
+
+  if (emoji) {
+    const { emojis, invalid } = parseEmojis(emoji);
+    if (invalid.length > 0 || emojis.length === 0) {
+      throw new Error(`Not an emoji: ${emoji}`);
+    }
+    filters.emoji = emojis;
+    tests.push(entry => entryItems(entry).some(item => {
+      const sent = parseEmojis(item.emojis).emojis;
+      return emojis.some(wanted => sent.includes(wanted));
+    }));
+  }
+
+  if (error) {
+    const text = String(error).toLowerCase();
+    filters.error = error;
+    tests.push(entry => [entry.error, entry.inputError, ...entryItems(entry).map(item => item.error)]
+      .some(message => message && message.toLowerCase().includes(text)));
+  }
+
+  return { filters, matches: entry => tests.every(test => test(entry)) };
+}
+
+// Matching entries with their 1-based position in the full history
+function queryHistory(history, filter) {
+  return history
+    .map((entry, index) => ({ entry, position: index + 1 }))
+    .filter(({ entry }) => filter.matches(entry));
+}
+
+// Split history (newest first) into entries to keep and entries past the
+// retention limits; a limit of 0 means no limit. Each profile has its own
+// limits, so only entries of `profile` are counted and rotated. Entries from
+// before profiles existed belong to the default profile.
+function applyRetention(history, { limit = 0, maxAge = 0, profile = DEFAULT_PROFILE }, now = Date.now()) {
+  const cutoff = maxAge > 0 ? now - maxAge * UNITS.d : null;
+  const keep = [];
+  const rotated = [];
+  let kept = 0;
+
+  for (const entry of history) {
+    if ((entry.profile || DEFAULT_PROFILE) !== profile) {
+      keep.push(entry);
+      continue;
+    }
+
+    const tooOld = cutoff !== null && Date.parse(entry.timestamp) < cutoff;
+    const tooMany = limit > 0 && kept >= limit;
+
+    if (tooOld || tooMany) {
+      rotated.push(entry);
+    } else {
+      keep.push(entry);
+      kept++;
+    }
+  }
+
+  return { keep, rotated };
+}
+
+// Add entries to monthly archive files (history-2026-10.json, newest first).
+// Entries already in the archive are not added twice, so archiving again after
+// a crash before the history was saved is harmless. Resolves to the files written.
+async function archiveEntries(dir, entries) {
+  const months = new Map();
+
+  for (const entry of entries) {
+    const month = String(entry.timestamp).slice(0, 7);
+    months.set(month, [...(months.get(month) || []), entry]);
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+
+  for (const [month, added] of months) {
+    const file = path.join(dir, `history-${month}.json`);
+    let archived = [];
+
+    try {
+      archived = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Archive ${file} is unreadable: ${error.message}`);
+      }
+    }
+
+    const known = new Set(archived.map(entry => JSON.stringify(entry)));
+    const fresh = added.filter(entry => !known.has(JSON.stringify(entry)));
+    const merged = [...archived, ...fresh].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+    await writeFileAtomic(file, JSON.stringify(merged, null, 2));
+    files.push(file);
+  }
+
+  return files;
+}
+
+module.exports = { TYPES, STATUSES, parseTime, createHistoryFilter, queryHistory, applyRetention, archiveEntries };
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./files');
+
+const JOB_ID = /^\d{8}-\d{6}-[0-9a-f]{4}$/;
+
+// e.g. 20261019-142501-9f3c
+function createJobId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// On-disk record of a batch run, rewritten after every item so an
+// interrupted run can continue with only the items that were not sent
+class JobJournal {
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+  }
+
+  static async create(dir, { type, file, delay, profile, reactions }) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = createJobId();
+    const now = new Date().toISOString();
+    const journal = new JobJournal(path.join(dir, `${id}.json`), {
+      id,
+      type,
+      ...(file !== undefined && { file }),
+      profile,
+      delay,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      items: reactions.map(({ url, emojis }) => ({ url, emojis, state: 'pending' }))
+    });
+
+    await journal.save();
+    return journal;
+  }
+
+  static async load(dir, id) {
+    if (!JOB_ID.test(id)) {
+      throw new Error(`Invalid job ID: ${id}`);
+    }
+
+    let data;
+    const file = path.join(dir, `${id}.json`);
+
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `Job ${id} not found` : `Job ${id} is unreadable: ${error.message}`);
+    }
+
+    return new JobJournal(file, data);
+  }
+
+  // Every readable journal, newest first
+  static async list(dir) {
+    let names;
+
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      return [];
+    }
+
+    const journals = [];
+
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        journals.push(await JobJournal.load(dir, path.basename(name, '.json')));
+      } catch (error) {
+        // Skip foreign or half-written files
+      }
+    }
+
+    return journals.sort((a, b) => b.data.createdAt.localeCompare(a.data.createdAt));
+  }
+
+  get id() {
+    return this.data.id;
+  }
+
+  // Items still to send, tagged with their position in the journal. Skipped
+  // items were left out on resume because their post already got a reaction.
+  unsent() {
+    return this.data.items
+      .map((item, journalIndex) => ({ url: item.url, emojis: item.emojis, journalIndex, state: item.state }))
+      .filter(item => item.state !== 'sent' && item.state !== 'skipped');
+  }
+
+  counts() {
+    const counts = { sent: 0, failed: 0, pending: 0, skipped: 0 };
+    this.data.items.forEach(item => { counts[item.state]++; });
+    return counts;
+  }
+
+  // Append an item read from a streamed batch; it is saved with its result
+  add({ url, emojis }) {
+    this.data.items.push({ url, emojis, state: 'pending' });
+    return this.data.items.length - 1;
+  }
+
+  async mark(index, state, error = null) {
+    const item = this.data.items[index];
+
+    item.state = state;
+    if (error) {
+      item.error = error;
+    } else {
+      delete item.error;
+    }
+
+    this.data.updatedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  // Close the run; journals with nothing left to send are removed
+  async finish(status) {
+    if (this.unsent().length === 0) {
+      await fs.rm(this.file, { force: true });
+      return false;
+    }
+
+    this.data.status = status;
+    this.data.updatedAt = new Date().toISOString();
+    await this.save();
+    return true;
+  }
+
+  async save() {
+    await writeFileAtomic(this.file, JSON.stringify(this.data, null, 2));
+  }
+}
+
+module.exports = { JobJournal, createJobId };
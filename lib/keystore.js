@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+}
+
+// Encrypt a secret with a passphrase into a JSON-safe payload
+function encryptSecret(secret, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    algorithm: ALGORITHM,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+// Reverse encryptSecret; throws when the passphrase is wrong or the payload was altered
+function decryptSecret(payload, passphrase) {
+  if (!payload || payload.algorithm !== ALGORITHM) {
+    throw new Error('Unsupported key store format');
+  }
+
+  try {
+    const key = deriveKey(passphrase, Buffer.from(payload.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted key store');
+  }
+}
+
+module.exports = { encryptSecret, decryptSecret };
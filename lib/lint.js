@@ -0,0 +1,91 @@
+const { parseEmojis, formatEmojis } = require('./emoji');
+const { postKey } = require('./dedup');
+const { normalizePostUrl } = require('./url');
+
+// Where an entry came from, for messages: "line 4" or "entry 2"
+function entryPosition(entry) {
+  return entry.line ? `line ${entry.line}` : `entry ${entry.index}`;
+}
+
+// Returns a checker that resolves an entry to { reaction } with its emojis
+// normalized, or { reason } when it is rejected. Entries may name a preset
+// instead of (or on top of) listing emojis. It remembers what it has seen so
+// repeats are reported as duplicates, unless allowDuplicates is set.
+function createLinter(validateUrl, { presets = {}, allowDuplicates = false } = {}) {
+  const seen = new Map();
+
+  return entry => {
+    if (entry.parseError) {
+      return { reason: entry.parseError };
+    }
+
+    const missing = ['url', 'emojis'].filter(field => entry[field] === undefined || entry[field] === null);
+    if (missing.includes('emojis') && entry.preset) {
+      missing.pop();
+    }
+    if (missing.length > 0) {
+      return { reason: `missing ${missing.join(' and ')}` };
+    }
+
+    let url;
+    try {
+      url = normalizePostUrl(typeof entry.url === 'string' ? entry.url : '');
+    } catch (error) {
+      return { reason: `invalid URL ${entry.url}: ${error.message}` };
+    }
+    if (!validateUrl(url)) {
+      return { reason: `invalid URL ${entry.url}: not accepted by nvch-reactor` };
+    }
+
+    if (entry.emojis !== undefined && entry.emojis !== null && typeof entry.emojis !== 'string') {
+      return { reason: 'emojis must be a string' };
+    }
+
+    if (entry.preset && !Object.hasOwn(presets, entry.preset)) {
+      return { reason: `unknown preset: ${entry.preset}` };
+    }
+
+    const input = [entry.emojis, entry.preset && presets[entry.preset]].filter(Boolean).join(',');
+    const { emojis, invalid } = parseEmojis(input, presets);
+    if (invalid.length > 0) {
+      return { reason: `not an emoji: ${invalid.map(item => `"${item}"`).join(', ')}` };
+    }
+    if (emojis.length === 0) {
+      return { reason: 'empty emojis' };
+    }
+
+    const { preset, ...rest } = entry;
+    const reaction = { ...rest, url, emojis: formatEmojis(emojis) };
+
+    const key = `${postKey(url)} ${reaction.emojis}`;
+    if (seen.has(key) && !allowDuplicates) {
+      return { reason: `duplicate of ${seen.get(key)}` };
+    }
+    if (!seen.has(key)) {
+      seen.set(key, entryPosition(entry));
+    }
+
+    return { reaction };
+  };
+}
+
+// Split parsed entries into the ones to send and the ones rejected, with reasons
+function lintReactions(entries, validateUrl, options = {}) {
+  const check = createLinter(validateUrl, options);
+  const valid = [];
+  const rejected = [];
+
+  for (const entry of entries) {
+    const { reaction, reason } = check(entry);
+
+    if (reason) {
+      rejected.push({ position: entryPosition(entry), reason });
+    } else {
+      valid.push(reaction);
+    }
+  }
+
+  return { valid, rejected };
+}
+
+module.exports = { createLinter, lintReactions, entryPosition };
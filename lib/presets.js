@@ -0,0 +1,33 @@
+const PRESET_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+function validatePresetName(name) {
+  if (!PRESET_NAME.test(name || '')) {
+    throw new Error('Preset names must start with a letter and may only contain letters, numbers, "-" and "_" (max 32)');
+  }
+
+  return name;
+}
+
+// Distinct emoji strings from history, newest first
+function recentEmojis(history, limit = 5) {
+  const recent = [];
+
+  for (const entry of history) {
+    const sent = entry.type === 'single'
+      ? [entry.emojis]
+      : (entry.results || []).map(item => item.emojis);
+
+    for (const emojis of sent) {
+      if (emojis && !recent.includes(emojis)) {
+        recent.push(emojis);
+      }
+      if (recent.length >= limit) {
+        return recent;
+      }
+    }
+  }
+
+  return recent;
+}
+
+module.exports = { validatePresetName, recentEmojis };
@@ -0,0 +1,34 @@
+const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Bring stored config into { defaultProfile, profiles } form.
+// Files written before profiles existed hold one flat profile, which becomes "default".
+function normalizeStore(data) {
+  if (!data || typeof data !== 'object') {
+    return { defaultProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: {} } };
+  }
+
+  if (!data.profiles) {
+    return { defaultProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: { ...data } } };
+  }
+
+  const store = { ...data, profiles: { ...data.profiles } };
+
+  if (!store.profiles[store.defaultProfile]) {
+    store.defaultProfile = Object.keys(store.profiles)[0] || DEFAULT_PROFILE;
+    store.profiles[store.defaultProfile] = store.profiles[store.defaultProfile] || {};
+  }
+
+  return store;
+}
+
+function validateProfileName(name) {
+  if (!PROFILE_NAME.test(name || '')) {
+    throw new Error('Profile names may only contain letters, numbers, "-" and "_" (max 32)');
+  }
+
+  return name;
+}
+
+module.exports = { DEFAULT_PROFILE, normalizeStore, validateProfileName };
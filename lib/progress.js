@@ -0,0 +1,67 @@
+// Human friendly duration, e.g. "45s", "3m 05s", "1h 02m"
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+
+  const minutes = Math.floor(seconds / 60);
+
+  if (minutes < 60) {
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  }
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Running counts for a batch plus an ETA from the delay and observed request times.
+// A null total means the items are streamed in and the end is not known yet.
+class BatchProgress {
+  constructor(total, delay) {
+    this.total = total;
+    this.delay = delay;
+    this.done = 0;
+    this.success = 0;
+    this.failed = 0;
+    this.requestTime = 0;
+  }
+
+  record(success, duration) {
+    this.done++;
+    this.requestTime += duration;
+
+    if (success) {
+      this.success++;
+    } else {
+      this.failed++;
+    }
+  }
+
+  // Milliseconds left, or null before the first request has been timed
+  eta() {
+    if (this.done === 0 || this.total === null) {
+      return null;
+    }
+
+    const remaining = this.total - this.done;
+    return remaining * (this.requestTime / this.done + this.delay);
+  }
+
+  render(width = 20) {
+    if (this.total === null) {
+      return `${this.done} sent | ✅ ${this.success} ❌ ${this.failed}`;
+    }
+
+    const ratio = this.total > 0 ? this.done / this.total : 1;
+    const filled = Math.round(ratio * width);
+    const eta = this.eta();
+
+    return `[${'█'.repeat(filled)}${'░'.repeat(width - filled)}] ` +
+      `${this.done}/${this.total} ${Math.round(ratio * 100)}% | ` +
+      `✅ ${this.success} ❌ ${this.failed} | ` +
+      `ETA ${eta === null ? '--' : formatDuration(eta)}`;
+  }
+}
+
+module.exports = { BatchProgress, formatDuration };
@@ -0,0 +1,84 @@
+const { TimeoutError, isTimeoutError, sleep } = require('./timeout');
+
+// Upper bound for any wait between attempts. A server asking for a longer
+// Retry-After fails the item instead, so it can be retried later.
+const MAX_BACKOFF = 30000;
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+// Rate limits, server errors, timeouts and dropped connections are worth another try
+function isRetryable(error) {
+  // withTimeout() only stops waiting: the request may still land, and sending
+  // it again would react twice. The client's own timeout aborts the request.
+  if (error instanceof TimeoutError) {
+    return false;
+  }
+
+  if (isTimeoutError(error)) {
+    return true;
+  }
+
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Retry-After in ms from the error (seconds or an HTTP date), or null
+function retryAfterMs(error, now = Date.now()) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const value = error.retryAfter ?? headers['retry-after'];
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with jitter: half fixed, half random
+function backoffDelay(attempt, baseDelay, random = Math.random) {
+  const exponential = Math.min(MAX_BACKOFF, baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+// Run fn until it succeeds, fails with a non-retryable error or runs out of attempts.
+// Resolves to { value, attempts }; the final error carries .attempts. A
+// cancellation ({ cancelled, promise }) cuts the wait short and stops retrying.
+async function withRetry(fn, { maxAttempts, retryDelay }, onRetry = () => {}, cancellation = null) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt };
+    } catch (error) {
+      const retryAfter = retryAfterMs(error);
+      const giveUp = attempt >= maxAttempts ||
+        !isRetryable(error) ||
+        retryAfter > MAX_BACKOFF ||
+        (cancellation && cancellation.cancelled);
+
+      if (giveUp) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const wait = retryAfter ?? backoffDelay(attempt, retryDelay);
+      onRetry({ attempt, error, wait });
+      await sleep(wait, cancellation && cancellation.promise);
+
+      if (cancellation && cancellation.cancelled) {
+        error.attempts = attempt;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { isRetryable, retryAfterMs, backoffDelay, withRetry };
@@ -0,0 +1,50 @@
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Request timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = ms;
+  }
+}
+
+// Reject with a TimeoutError if the promise has not settled within ms
+function withTimeout(promise, ms) {
+  if (!ms) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(ms)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves after ms, or as soon as the optional `until` promise settles
+function sleep(ms, until) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+
+    if (until) {
+      until.then(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    }
+  });
+}
+
+// Recognise our own timeouts as well as the HTTP client's (axios uses
+// ECONNABORTED). An error with an HTTP status got a response, so even a
+// 504 "Gateway Timeout" is an HTTP error rather than a timeout.
+function isTimeoutError(error) {
+  if (!error || error.status) {
+    return false;
+  }
+
+  return error instanceof TimeoutError ||
+    error.code === 'ECONNABORTED' ||
+    error.code === 'ETIMEDOUT';
+}
+
+module.exports = { TimeoutError, withTimeout, isTimeoutError, sleep };
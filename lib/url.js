@@ -0,0 +1,172 @@
+const URL_FORMAT = 'https://whatsapp.com/channel/{CHANNEL_ID}/{POST_ID}';
+
+const HOSTS = ['whatsapp.com', 'www.whatsapp.com'];
+
+// Most posts a single post range may expand to
+const MAX_RANGE = 100;
+
+const CHANNEL_ID = /^[A-Za-z0-9]+$/;
+// A URL ending in <from>-<to> instead of a post ID
+const POST_RANGE = /^(.*\/)(\d+)-(\d+)\/?(?:[?#].*)?$/;
+const POST_ID = /^\d+$/;
+
+class UrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlError';
+  }
+}
+
+function canonicalUrl(channelId, postId) {
+  return `https://whatsapp.com/channel/${channelId}/${postId}`;
+}
+
+// Split a post URL into its parts. Whitespace, a missing or http scheme,
+// "www.", query strings, fragments and a trailing slash are all accepted;
+// anything else throws a UrlError naming the part that is wrong.
+function parsePostUrl(input) {
+  const text = String(input ?? '').trim();
+
+  if (text === '') {
+    throw new UrlError('URL is empty');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    throw new UrlError(`"${text}" is not a URL`);
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    throw new UrlError(`Scheme must be https:// (got ${parsed.protocol}//)`);
+  }
+
+  if (!HOSTS.includes(parsed.hostname.toLowerCase())) {
+    throw new UrlError(`Host must be whatsapp.com (got ${parsed.hostname})`);
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new UrlError('URL must not contain a user name or password');
+  }
+
+  if (parsed.port) {
+    throw new UrlError(`URL must not contain a port (got :${parsed.port})`);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (segments[0] !== 'channel') {
+    throw new UrlError(`Path must start with /channel/ (got ${parsed.pathname})`);
+  }
+
+  const [, channelId, postId, ...extra] = segments;
+
+  if (!channelId) {
+    throw new UrlError('Channel ID is missing');
+  }
+  if (!CHANNEL_ID.test(channelId)) {
+    throw new UrlError(`Channel ID may only contain letters and digits (got "${channelId}")`);
+  }
+  if (!postId) {
+    throw new UrlError('Post ID is missing; use the link of a post, not of the channel');
+  }
+  if (!POST_ID.test(postId)) {
+    throw new UrlError(`Post ID must be a number (got "${postId}")`);
+  }
+  if (extra.length > 0) {
+    throw new UrlError(`Unexpected path after the post ID: /${extra.join('/')}`);
+  }
+
+  // .../01 and .../1 are the same post; stripping zeros instead of going
+  // through Number() keeps IDs beyond 2^53 exact
+  const canonicalPostId = postId.replace(/^0+(?=\d)/, '');
+  return { url: canonicalUrl(channelId, canonicalPostId), channelId, postId: canonicalPostId };
+}
+
+function normalizePostUrl(input) {
+  return parsePostUrl(input).url;
+}
+
+// Canonical URL, or null when the input is not a post URL
+function tryNormalizePostUrl(input) {
+  try {
+    return normalizePostUrl(input);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Channel ID from a bare ID or a channel/post URL
+function parseChannelId(input) {
+  const text = String(input ?? '').trim();
+
+  if (CHANNEL_ID.test(text)) {
+    return text;
+  }
+
+  if (text.includes('/')) {
+    // Borrow the post URL checks with a placeholder post ID when there is none
+    const path = text.replace(/[?#].*$/, '').replace(/\/+$/, '');
+    const withPost = /\/channel\/[^/]+$/.test(path) ? `${path}/1` : path;
+    return parsePostUrl(withPost).channelId;
+  }
+
+  throw new UrlError(text === '' ? 'Channel ID is missing' : `Channel ID may only contain letters and digits (got "${text}")`);
+}
+
+// Post URLs for posts from..to (inclusive) of a channel
+function postRange(channelId, from, to, max = MAX_RANGE) {
+  const first = Number(from);
+  const last = Number(to);
+
+  if (!Number.isInteger(first) || !Number.isInteger(last) || first < 0 || last < 0) {
+    throw new UrlError(`Post range must be two post numbers (got ${from}-${to})`);
+  }
+  if (last < first) {
+    throw new UrlError(`Post range ends (${last}) before it starts (${first})`);
+  }
+
+  const count = last - first + 1;
+  if (count > max) {
+    throw new UrlError(`Post range covers ${count} posts, the limit is ${max}`);
+  }
+
+  return {
+    channelId,
+    from: first,
+    to: last,
+    urls: Array.from({ length: count }, (_, index) => canonicalUrl(channelId, first + index))
+  };
+}
+
+// A range URL such as https://whatsapp.com/channel/<id>/170-178, or null when
+// the input does not end in a post range
+function parsePostRange(input, max = MAX_RANGE) {
+  const match = String(input ?? '').trim().match(POST_RANGE);
+
+  if (!match) {
+    return null;
+  }
+
+  const { channelId } = parsePostUrl(`${match[1]}${match[2]}`);
+  return postRange(channelId, match[2], match[3], max);
+}
+
+function isPostRange(input) {
+  return POST_RANGE.test(String(input ?? '').trim());
+}
+
+module.exports = {
+  URL_FORMAT,
+  MAX_RANGE,
+  UrlError,
+  canonicalUrl,
+  parsePostUrl,
+  normalizePostUrl,
+  tryNormalizePostUrl,
+  parseChannelId,
+  postRange,
+  parsePostRange,
+  isPostRange
+};